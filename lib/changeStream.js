@@ -0,0 +1,275 @@
+// Live change notifications over Server-Sent Events. Changes are written to the
+// change_events table and announced with NOTIFY, so every server instance hears
+// about writes made by the others and relays them to its own connected clients.
+const CHANNEL = 'change_events';
+const HEARTBEAT_MS = 25000;
+// Sent to clients as the SSE retry interval, and used to re-LISTEN after a lost connection
+const RECONNECT_MS = 5000;
+// A client this far behind is told to reload instead of having the changes replayed
+const MAX_REPLAY = 500;
+const RETENTION_HOURS = 24;
+
+// Store a change and wake every listening instance. The insert and the NOTIFY
+// commit together, so a listener can always read the row it is told about.
+async function recordChange(db, change) {
+    await db.query(`
+        WITH inserted AS (
+            INSERT INTO change_events (type, school, payload) VALUES ($1, $2, $3) RETURNING id
+        )
+        SELECT pg_notify('${CHANNEL}', id::text) FROM inserted
+    `, [change.type, change.school, JSON.stringify(change)]);
+}
+
+async function pruneChanges(db) {
+    const result = await db.query(
+        'DELETE FROM change_events WHERE created_at < CURRENT_TIMESTAMP - make_interval(hours => $1)',
+        [RETENTION_HOURS]
+    );
+    return result.rowCount;
+}
+
+// bigint ids come back from pg as strings
+function toRow(row) {
+    return { id: Number(row.id), school: row.school, payload: row.payload };
+}
+
+// The payload minus the acting admin, which public clients have no need for
+function formatEvent(row) {
+    const { type, school, occurred_at, data } = row.payload;
+    return `id: ${row.id}\ndata: ${JSON.stringify({ type, school, occurred_at, data })}\n\n`;
+}
+
+// Clients that missed more than can be replayed get a reset and should refetch everything
+const RESET_EVENT = 'event: reset\ndata: {}\n\n';
+
+// District-wide changes (school null) go to everyone, as do all changes to clients without a school
+function wants(subscriber, row) {
+    return !subscriber.school || !row.school || row.school === subscriber.school;
+}
+
+// Holds one pooled connection that LISTENs for changes and fans them out to the
+// SSE clients connected to this instance. onChange runs for every change heard,
+// including this instance's own, and with null when too many were missed to list.
+function createChangeStream(getPool, { log = console.error, onChange = () => {} } = {}) {
+    const subscribers = new Set();
+    let connection = null;
+    let connecting = false;
+    let reconnectTimer = null;
+    let retryTimer = null;
+    let heartbeatTimer = null;
+    let closed = false;
+    // Highest change relayed so far, to catch up on anything missed while reconnecting
+    let lastSeenId = null;
+    let notifiedIds = [];
+    let reading = false;
+
+    function send(subscriber, row) {
+        if (subscriber.buffer) {
+            subscriber.buffer.push(row);
+        } else {
+            subscriber.res.write(formatEvent(row));
+        }
+    }
+
+    function relay(rows) {
+        for (const row of rows) {
+            if (lastSeenId === null || row.id > lastSeenId) lastSeenId = row.id;
+            try {
+                onChange(row.payload);
+            } catch (error) {
+                log('Change handler failed', error);
+            }
+            for (const subscriber of subscribers) {
+                if (wants(subscriber, row)) send(subscriber, row);
+            }
+        }
+    }
+
+    // Notifications arrive one id at a time; read whatever has queued up in one query.
+    // A failed read puts its ids back and tries again, since no notification repeats them.
+    async function readNotified() {
+        if (reading) return;
+        reading = true;
+        let ids = [];
+        try {
+            while (notifiedIds.length) {
+                ids = notifiedIds;
+                notifiedIds = [];
+                const result = await getPool().query(
+                    'SELECT id, school, payload FROM change_events WHERE id = ANY($1::bigint[]) ORDER BY id',
+                    [ids]
+                );
+                ids = [];
+                relay(result.rows.map(toRow));
+            }
+        } catch (error) {
+            log('Error reading change events', error);
+            notifiedIds = ids.concat(notifiedIds);
+            scheduleRead();
+        } finally {
+            reading = false;
+        }
+    }
+
+    function scheduleRead() {
+        if (closed || retryTimer) return;
+        retryTimer = setTimeout(() => {
+            retryTimer = null;
+            readNotified();
+        }, RECONNECT_MS);
+        retryTimer.unref();
+    }
+
+    async function catchUp() {
+        const result = await getPool().query(
+            'SELECT id, school, payload FROM change_events WHERE id > $1 ORDER BY id LIMIT $2',
+            [lastSeenId, MAX_REPLAY + 1]
+        );
+
+        if (result.rows.length > MAX_REPLAY) {
+            lastSeenId = Number(result.rows[result.rows.length - 1].id);
+            onChange(null);
+            for (const subscriber of subscribers) subscriber.res.write(RESET_EVENT);
+            return;
+        }
+
+        relay(result.rows.map(toRow));
+    }
+
+    function scheduleReconnect() {
+        if (closed || reconnectTimer) return;
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            listen();
+        }, RECONNECT_MS);
+        reconnectTimer.unref();
+    }
+
+    function drop(client, error) {
+        if (connection !== client) return;
+        connection = null;
+        client.release(error);
+        scheduleReconnect();
+    }
+
+    async function listen() {
+        const pool = getPool();
+        if (closed || connection || connecting) return;
+        if (!pool) return scheduleReconnect();
+
+        connecting = true;
+        let client = null;
+        try {
+            client = await pool.connect();
+            client.on('notification', message => {
+                notifiedIds.push(message.payload);
+                readNotified();
+            });
+            client.on('error', error => {
+                log('Change listener connection lost', error);
+                drop(client, error);
+            });
+            await client.query(`LISTEN ${CHANNEL}`);
+            connection = client;
+            if (lastSeenId !== null) await catchUp();
+        } catch (error) {
+            log('Error listening for changes', error);
+            if (client && connection === client) {
+                drop(client, error);
+            } else {
+                if (client) client.release(error);
+                scheduleReconnect();
+            }
+        } finally {
+            connecting = false;
+        }
+    }
+
+    // Send everything after lastEventId, then whatever arrived in the meantime
+    async function replay(subscriber, lastEventId) {
+        try {
+            const result = await getPool().query(`
+                SELECT id, school, payload,
+                       (SELECT MIN(id) FROM change_events) AS oldest_id
+                FROM change_events
+                WHERE id > $1 AND ($2::varchar IS NULL OR school IS NULL OR school = $2)
+                ORDER BY id
+                LIMIT $3
+            `, [lastEventId, subscriber.school, MAX_REPLAY + 1]);
+
+            // Older changes have been pruned, so some may be missing
+            const pruned = result.rows.length > 0 && Number(result.rows[0].oldest_id) > lastEventId + 1;
+
+            if (pruned || result.rows.length > MAX_REPLAY) {
+                subscriber.res.write(RESET_EVENT);
+            } else {
+                for (const row of result.rows) subscriber.res.write(formatEvent(toRow(row)));
+            }
+
+            const replayed = new Set(result.rows.map(row => Number(row.id)));
+            const buffered = subscriber.buffer;
+            subscriber.buffer = null;
+            for (const row of buffered) {
+                if (!replayed.has(row.id)) send(subscriber, row);
+            }
+        } catch (error) {
+            log('Error replaying changes', error);
+            subscriber.res.end();
+        }
+    }
+
+    function heartbeat() {
+        for (const subscriber of subscribers) subscriber.res.write(': heartbeat\n\n');
+    }
+
+    return {
+        start() {
+            closed = false;
+            listen();
+        },
+
+        // Take over an HTTP response as an event stream. lastEventId resumes after
+        // that change; without it only new changes are sent.
+        async subscribe(res, { school = null, lastEventId = null } = {}) {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache, no-transform',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+            res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+            const subscriber = { res, school, buffer: lastEventId === null ? null : [] };
+            subscribers.add(subscriber);
+            res.on('close', () => subscribers.delete(subscriber));
+
+            if (!heartbeatTimer) {
+                heartbeatTimer = setInterval(heartbeat, HEARTBEAT_MS);
+                heartbeatTimer.unref();
+            }
+            listen();
+
+            if (lastEventId !== null) await replay(subscriber, lastEventId);
+        },
+
+        // Ends every open stream and releases the listening connection
+        close() {
+            closed = true;
+            clearInterval(heartbeatTimer);
+            clearTimeout(reconnectTimer);
+            clearTimeout(retryTimer);
+            heartbeatTimer = null;
+            reconnectTimer = null;
+            retryTimer = null;
+            for (const subscriber of subscribers) subscriber.res.end();
+            subscribers.clear();
+            if (connection) {
+                const client = connection;
+                connection = null;
+                client.release();
+            }
+        }
+    };
+}
+
+module.exports = { recordChange, pruneChanges, createChangeStream };
@@ -0,0 +1,86 @@
+// Minimal RFC 4180 reader for spreadsheet exports: quoted fields with ""
+// escapes and embedded newlines, CRLF, a leading BOM, and tab-separated pastes.
+// Returns non-blank rows with the line number each one starts on.
+function parseCsv(text) {
+    const input = text.replace(/^\uFEFF/, '');
+    const firstLine = input.split(/\r?\n/, 1)[0];
+    const delimiter = firstLine.includes('\t') && !firstLine.includes(',') ? '\t' : ',';
+
+    const rows = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endRow = () => {
+        fields.push(field);
+        if (fields.some(value => value.trim() !== '')) rows.push({ line: rowLine, fields });
+        fields = [];
+        field = '';
+        rowLine = line;
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            fields.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            line++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+    }
+
+    if (field !== '' || fields.length > 0) endRow();
+    return rows;
+}
+
+// Header names such as "Grade Level" become grade_level
+function normalizeHeader(name) {
+    return name.trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+// Parse CSV text into { columns, records: [{ line, values }] } keyed by the header row.
+// Empty cells are left out of values so they read as "not provided".
+function parseCsvRecords(text) {
+    const [header, ...rows] = parseCsv(text);
+
+    if (!header) {
+        return { columns: [], records: [] };
+    }
+
+    const columns = header.fields.map(normalizeHeader);
+    const records = rows.map(({ line, fields }) => {
+        const values = {};
+        columns.forEach((column, index) => {
+            const value = (fields[index] || '').trim();
+            if (column && value !== '') values[column] = value;
+        });
+        return { line, values };
+    });
+
+    return { columns, records };
+}
+
+module.exports = { parseCsv, parseCsvRecords };
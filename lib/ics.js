@@ -0,0 +1,115 @@
+const { addDays } = require('./rrule');
+
+// iCalendar (RFC 5545) output for the .ics feeds. Calendar feeds are published
+// in the district's local time.
+const CALENDAR_TIMEZONE = 'America/Los_Angeles';
+const ICS_PRODID = '-//WLWV//Life Calendar API//EN';
+const ICS_UID_DOMAIN = 'wlwv-calendar-api';
+
+const ICS_VTIMEZONE = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${CALENDAR_TIMEZONE}`,
+    'BEGIN:DAYLIGHT',
+    'TZOFFSETFROM:-0800',
+    'TZOFFSETTO:-0700',
+    'TZNAME:PDT',
+    'DTSTART:19700308T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+    'END:DAYLIGHT',
+    'BEGIN:STANDARD',
+    'TZOFFSETFROM:-0700',
+    'TZOFFSETTO:-0800',
+    'TZNAME:PST',
+    'DTSTART:19701101T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+];
+
+// Escape TEXT values per RFC 5545 section 3.3.11
+function escapeIcsText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Fold content lines longer than 75 octets
+function foldIcsLine(line) {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    const limit = () => (parts.length === 0 ? 75 : 74);
+
+    for (const char of line) {
+        const size = Buffer.byteLength(char, 'utf8');
+        if (currentBytes + size > limit()) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function icsDate(dateString) {
+    return dateString.replace(/-/g, '');
+}
+
+function icsTimestamp(value) {
+    const date = value instanceof Date ? value : new Date(value || Date.now());
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// One VEVENT; timed entries use the district timezone, others are all-day
+function buildIcsEvent({ uid, date, time, summary, description, categories, updatedAt }) {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${uid}@${ICS_UID_DOMAIN}`,
+        `DTSTAMP:${icsTimestamp(updatedAt)}`
+    ];
+
+    if (time) {
+        const [hours, minutes, seconds = '00'] = String(time).split(':');
+        lines.push(`DTSTART;TZID=${CALENDAR_TIMEZONE}:${icsDate(date)}T${hours}${minutes}${seconds.slice(0, 2)}`);
+        lines.push('DURATION:PT1H');
+    } else {
+        lines.push(`DTSTART;VALUE=DATE:${icsDate(date)}`);
+        lines.push(`DTEND;VALUE=DATE:${icsDate(addDays(date, 1))}`);
+        lines.push('TRANSP:TRANSPARENT');
+    }
+
+    lines.push(`SUMMARY:${escapeIcsText(summary)}`);
+    if (description) lines.push(`DESCRIPTION:${escapeIcsText(description)}`);
+    if (categories) lines.push(`CATEGORIES:${escapeIcsText(categories)}`);
+    if (updatedAt) lines.push(`LAST-MODIFIED:${icsTimestamp(updatedAt)}`);
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+function buildIcsCalendar(name, eventLines) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${ICS_PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcsText(name)}`,
+        `X-WR-TIMEZONE:${CALENDAR_TIMEZONE}`,
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H',
+        ...ICS_VTIMEZONE,
+        ...eventLines,
+        'END:VCALENDAR'
+    ];
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { CALENDAR_TIMEZONE, icsDate, escapeIcsText, foldIcsLine, buildIcsEvent, buildIcsCalendar };
@@ -0,0 +1,42 @@
+// Structured logging: one JSON object per line on stdout with time, level and msg
+// plus any fields passed along. Errors in fields are expanded to name, message,
+// code and stack. LOG_LEVEL (debug, info, warn, error) sets the minimum level.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.code !== undefined && { code: error.code }),
+        stack: error.stack
+    };
+}
+
+function createLogger({ level = process.env.LOG_LEVEL, fields = {}, stream = process.stdout } = {}) {
+    const threshold = LEVELS[level] || LEVELS.info;
+
+    function write(levelName, msg, extra = {}) {
+        if (LEVELS[levelName] < threshold) return;
+
+        const entry = { time: new Date().toISOString(), level: levelName, msg, ...fields };
+        for (const [key, value] of Object.entries(extra)) {
+            entry[key] = value instanceof Error ? serializeError(value) : value;
+        }
+        stream.write(`${JSON.stringify(entry)}\n`);
+    }
+
+    return {
+        debug: (msg, extra) => write('debug', msg, extra),
+        info: (msg, extra) => write('info', msg, extra),
+        warn: (msg, extra) => write('warn', msg, extra),
+        error: (msg, extra) => write('error', msg, extra),
+
+        // A logger that adds these fields to every entry, e.g. a request ID
+        child(extra) {
+            return createLogger({ level, fields: { ...fields, ...extra }, stream });
+        }
+    };
+}
+
+module.exports = { createLogger };
@@ -0,0 +1,81 @@
+// A small Prometheus registry: counters, gauges and histograms with labels,
+// rendered in the text exposition format for GET /api/metrics.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function header(name, help, type) {
+    return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+function createRegistry() {
+    const metrics = [];
+
+    // Series are kept per label set; the key is the rendered labels
+    function series(store, labels, create) {
+        const key = formatLabels(labels);
+        if (!store.has(key)) store.set(key, create());
+        return store.get(key);
+    }
+
+    return {
+        counter(name, help) {
+            const values = new Map();
+            metrics.push(() => [
+                ...header(name, help, 'counter'),
+                ...[...values].map(([labels, entry]) => `${name}${labels} ${entry.value}`)
+            ]);
+            return {
+                inc(labels = {}, amount = 1) {
+                    series(values, labels, () => ({ value: 0 })).value += amount;
+                }
+            };
+        },
+
+        // collect() returns [{ labels, value }] and is read at render time
+        gauge(name, help, collect) {
+            metrics.push(() => [
+                ...header(name, help, 'gauge'),
+                ...collect().map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${value}`)
+            ]);
+        },
+
+        histogram(name, help, buckets = DEFAULT_BUCKETS) {
+            const values = new Map();
+            metrics.push(() => [
+                ...header(name, help, 'histogram'),
+                ...[...values.values()].flatMap(({ labels, counts, sum, count }) => [
+                    ...buckets.map((bound, index) =>
+                        `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+                    `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+                    `${name}_sum${formatLabels(labels)} ${sum}`,
+                    `${name}_count${formatLabels(labels)} ${count}`
+                ])
+            ]);
+            return {
+                observe(labels, value) {
+                    const entry = series(values, labels, () => ({ labels, counts: buckets.map(() => 0), sum: 0, count: 0 }));
+                    buckets.forEach((bound, index) => {
+                        if (value <= bound) entry.counts[index]++;
+                    });
+                    entry.sum += value;
+                    entry.count++;
+                }
+            };
+        },
+
+        render() {
+            return `${metrics.flatMap(lines => lines()).join('\n')}\n`;
+        }
+    };
+}
+
+module.exports = { createRegistry };
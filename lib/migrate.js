@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.(sql|js)$/;
+
+// Arbitrary key so only one instance migrates at a time
+const MIGRATION_LOCK_KEY = 727374;
+
+// Migration files in version order: 001_initial_schema.sql, 002_admin_accounts.sql, ...
+function listMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => {
+            const match = file.match(MIGRATION_FILE);
+            return match && { version: match[1], name: match[2], type: match[3], file };
+        })
+        .filter(Boolean)
+        .sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+async function ensureMigrationsTable(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version VARCHAR(20) PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+async function appliedVersions(client) {
+    const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return result.rows;
+}
+
+async function runMigration(client, migration) {
+    const file = path.join(MIGRATIONS_DIR, migration.file);
+
+    if (migration.type === 'sql') {
+        await client.query(fs.readFileSync(file, 'utf8'));
+    } else {
+        await require(file).up(client);
+    }
+}
+
+// Apply every pending migration, each in its own transaction
+async function migrateUp(pool, { log = console.log } = {}) {
+    const client = await pool.connect();
+    const applied = [];
+
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+        await ensureMigrationsTable(client);
+
+        const done = new Set((await appliedVersions(client)).map(row => row.version));
+
+        for (const migration of listMigrations()) {
+            if (done.has(migration.version)) continue;
+
+            log(`Applying migration ${migration.file}`);
+            await client.query('BEGIN');
+            try {
+                await runMigration(client, migration);
+                await client.query(
+                    'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+                    [migration.version, migration.name]
+                );
+                await client.query('COMMIT');
+            } catch (error) {
+                await client.query('ROLLBACK');
+                error.message = `Migration ${migration.file} failed: ${error.message}`;
+                throw error;
+            }
+            applied.push(`${migration.version}_${migration.name}`);
+        }
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+        client.release();
+    }
+
+    return applied;
+}
+
+// Applied and pending migrations, for the status endpoint and CLI
+async function migrationStatus(pool) {
+    const client = await pool.connect();
+
+    try {
+        await ensureMigrationsTable(client);
+        const applied = await appliedVersions(client);
+        const done = new Set(applied.map(row => row.version));
+        const pending = listMigrations().filter(migration => !done.has(migration.version));
+
+        return {
+            current: applied.length ? applied[applied.length - 1].version : null,
+            applied: applied.map(row => ({ version: row.version, name: row.name, applied_at: row.applied_at })),
+            pending: pending.map(migration => ({ version: migration.version, name: migration.name }))
+        };
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = { listMigrations, migrateUp, migrationStatus };
+
+// CLI: node lib/migrate.js [up|status]
+if (require.main === module) {
+    require('dotenv').config();
+    const { Pool } = require('pg');
+
+    const command = process.argv[2] || 'up';
+    if (!['up', 'status'].includes(command)) {
+        console.error('Usage: node lib/migrate.js [up|status]');
+        process.exit(1);
+    }
+
+    const pool = new Pool({
+        connectionString: process.env.DATABASE_URL,
+        ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+
+    const run = command === 'status'
+        ? migrationStatus(pool).then(status => {
+            status.applied.forEach(row => console.log(`  applied  ${row.version}_${row.name}`));
+            status.pending.forEach(row => console.log(`  pending  ${row.version}_${row.name}`));
+        })
+        : migrateUp(pool).then(applied => {
+            console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+        });
+
+    run
+        .catch(error => {
+            console.error(error.message);
+            process.exitCode = 1;
+        })
+        .finally(() => pool.end());
+}
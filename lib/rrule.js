@@ -0,0 +1,190 @@
+const { parseDateOnly } = require('./validate');
+
+// The subset of RFC 5545 RRULE that recurring events support, expanded on
+// YYYY-MM-DD strings in UTC so no local timezone shifts a date.
+const RRULE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const RRULE_PARTS = ['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'COUNT', 'UNTIL'];
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_OCCURRENCES = 1000;
+const MAX_RECURRENCE_PERIODS = 5000;
+
+// Add days to a YYYY-MM-DD string without local timezone drift
+function addDays(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+// Day of week for a YYYY-MM-DD string, 0 = Sunday
+function weekdayOf(dateString) {
+    return new Date(`${dateString}T00:00:00Z`).getUTCDay();
+}
+
+// Parse an RRULE string into { freq, interval, byDay, byMonthDay, count, until }
+function parseRRule(value) {
+    const parts = {};
+
+    for (const part of String(value).trim().replace(/^RRULE:/i, '').split(';')) {
+        if (!part) continue;
+        const [key, partValue] = part.split('=');
+        if (!key || !partValue) {
+            return { error: `Invalid RRULE part "${part}"` };
+        }
+        parts[key.toUpperCase()] = partValue.toUpperCase();
+    }
+
+    const unsupported = Object.keys(parts).filter(key => !RRULE_PARTS.includes(key));
+    if (unsupported.length) {
+        return { error: `Unsupported RRULE part: ${unsupported.join(', ')}` };
+    }
+
+    const rule = { freq: parts.FREQ, interval: 1, byDay: null, byMonthDay: null, count: null, until: null };
+
+    if (!RRULE_FREQUENCIES.includes(rule.freq)) {
+        return { error: 'RRULE FREQ must be DAILY, WEEKLY or MONTHLY' };
+    }
+
+    if (parts.INTERVAL !== undefined) {
+        rule.interval = Number(parts.INTERVAL);
+        if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 99) {
+            return { error: 'RRULE INTERVAL must be between 1 and 99' };
+        }
+    }
+
+    if (parts.BYDAY !== undefined) {
+        if (rule.freq === 'DAILY') {
+            return { error: 'RRULE BYDAY is only supported for WEEKLY and MONTHLY rules' };
+        }
+        rule.byDay = [];
+        for (const entry of parts.BYDAY.split(',')) {
+            const match = entry.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+            const ordinal = match && match[1] ? Number(match[1]) : null;
+            if (!match || ordinal === 0 || Math.abs(ordinal) > 5 || (ordinal && rule.freq !== 'MONTHLY')) {
+                return { error: `Invalid RRULE BYDAY value "${entry}"` };
+            }
+            rule.byDay.push({ weekday: WEEKDAY_CODES.indexOf(match[2]), ordinal });
+        }
+    }
+
+    if (parts.BYMONTHDAY !== undefined) {
+        if (rule.freq !== 'MONTHLY') {
+            return { error: 'RRULE BYMONTHDAY is only supported for MONTHLY rules' };
+        }
+        rule.byMonthDay = parts.BYMONTHDAY.split(',').map(Number);
+        if (rule.byMonthDay.some(day => !Number.isInteger(day) || day === 0 || Math.abs(day) > 31)) {
+            return { error: 'RRULE BYMONTHDAY values must be between 1 and 31 (or -31 and -1)' };
+        }
+    }
+
+    if (parts.COUNT !== undefined && parts.UNTIL !== undefined) {
+        return { error: 'RRULE cannot have both COUNT and UNTIL' };
+    }
+
+    if (parts.COUNT !== undefined) {
+        rule.count = Number(parts.COUNT);
+        if (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > MAX_OCCURRENCES) {
+            return { error: `RRULE COUNT must be between 1 and ${MAX_OCCURRENCES}` };
+        }
+    }
+
+    if (parts.UNTIL !== undefined) {
+        const match = parts.UNTIL.match(/^(\d{4})-?(\d{2})-?(\d{2})(T\d{6}Z?)?$/);
+        if (!match) {
+            return { error: 'RRULE UNTIL must be a date such as 20250601' };
+        }
+        rule.until = parseDateOnly(`${match[1]}-${match[2]}-${match[3]}`);
+        if (!rule.until) {
+            return { error: 'RRULE UNTIL must be a valid date' };
+        }
+    }
+
+    return { rule };
+}
+
+// Canonical RRULE string for storage
+function formatRRule(rule) {
+    const parts = [`FREQ=${rule.freq}`];
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.byDay) {
+        parts.push(`BYDAY=${rule.byDay.map(d => `${d.ordinal || ''}${WEEKDAY_CODES[d.weekday]}`).join(',')}`);
+    }
+    if (rule.byMonthDay) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+    return parts.join(';');
+}
+
+// Candidate dates for one month of a MONTHLY rule
+function monthlyCandidates(rule, year, month, startDay) {
+    const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    const dateFor = day => new Date(Date.UTC(year, month, day)).toISOString().split('T')[0];
+    const days = new Set();
+
+    if (rule.byDay) {
+        for (const { weekday, ordinal } of rule.byDay) {
+            const matches = [];
+            for (let day = 1; day <= daysInMonth; day++) {
+                if (new Date(Date.UTC(year, month, day)).getUTCDay() === weekday) matches.push(day);
+            }
+            if (!ordinal) {
+                matches.forEach(day => days.add(day));
+            } else {
+                const day = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+                if (day) days.add(day);
+            }
+        }
+    } else if (rule.byMonthDay) {
+        for (const value of rule.byMonthDay) {
+            const day = value > 0 ? value : daysInMonth + value + 1;
+            if (day >= 1 && day <= daysInMonth) days.add(day);
+        }
+    } else if (startDay <= daysInMonth) {
+        days.add(startDay);
+    }
+
+    return [...days].sort((a, b) => a - b).map(dateFor);
+}
+
+// Occurrence dates of a rule starting at `start`, limited to [from, to]
+function expandRRule(rule, start, { from = null, to, exdates = [] }) {
+    const excluded = new Set(exdates);
+    const last = rule.until && rule.until < to ? rule.until : to;
+    const dates = [];
+    let generated = 0;
+
+    // Returns false once the rule is exhausted
+    const emit = date => {
+        if (date < start) return true;
+        if (date > last) return false;
+        if (rule.count && generated >= rule.count) return false;
+        generated++;
+        if ((!from || date >= from) && !excluded.has(date)) dates.push(date);
+        return true;
+    };
+
+    const [startYear, startMonth, startDay] = start.split('-').map(Number);
+    const weekStart = addDays(start, -((weekdayOf(start) + 6) % 7));
+    const weekOffsets = (rule.byDay ? rule.byDay.map(d => d.weekday) : [weekdayOf(start)])
+        .map(weekday => (weekday + 6) % 7)
+        .sort((a, b) => a - b);
+
+    for (let period = 0; period < MAX_RECURRENCE_PERIODS; period++) {
+        let candidates;
+
+        if (rule.freq === 'DAILY') {
+            candidates = [addDays(start, period * rule.interval)];
+        } else if (rule.freq === 'WEEKLY') {
+            const base = addDays(weekStart, period * 7 * rule.interval);
+            candidates = weekOffsets.map(offset => addDays(base, offset));
+        } else {
+            const monthIndex = startMonth - 1 + period * rule.interval;
+            candidates = monthlyCandidates(rule, startYear + Math.floor(monthIndex / 12), monthIndex % 12, startDay);
+        }
+
+        if (!candidates.every(emit)) break;
+    }
+
+    return dates;
+}
+
+module.exports = { MAX_OCCURRENCES, addDays, weekdayOf, parseRRule, formatRRule, expandRRule };
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+
+// Where uploaded files live. Every backend offers put(key, body, contentType),
+// get(key) -> { stream, size } or null, and remove(key).
+//
+//   STORAGE_DRIVER=local (default)  files under UPLOAD_DIR (./uploads)
+//   STORAGE_DRIVER=s3               S3_BUCKET, S3_REGION, optional S3_ENDPOINT and
+//                                   S3_FORCE_PATH_STYLE for S3-compatible services;
+//                                   credentials come from the usual AWS_* variables
+//
+// Vercel (which sets VERCEL) has no disk that is shared between instances or kept
+// between invocations, so local storage is refused there and s3 is required.
+
+const ORPHAN_BATCH_SIZE = 100;
+// Dropped files are kept this long so undoing the change in the audit log, or
+// restoring a purged material, still finds its file
+const ORPHAN_RETENTION_DAYS = 30;
+
+function createLocalStorage(root) {
+    const base = path.resolve(root);
+
+    // Keys are generated by the server, but never let one escape the upload directory
+    function resolve(key) {
+        const file = path.resolve(base, key);
+        if (!file.startsWith(base + path.sep)) throw new Error(`Invalid storage key ${key}`);
+        return file;
+    }
+
+    return {
+        async put(key, body) {
+            const file = resolve(key);
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.writeFile(file, body, { flag: 'wx' });
+        },
+
+        async get(key) {
+            const file = resolve(key);
+            try {
+                const stat = await fs.promises.stat(file);
+                return { stream: fs.createReadStream(file), size: stat.size };
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        async remove(key) {
+            await fs.promises.rm(resolve(key), { force: true });
+        }
+    };
+}
+
+// The AWS SDK is large and only needed here, so it is an optional install
+function createS3Storage({ bucket, region, endpoint, forcePathStyle }) {
+    let s3;
+    try {
+        s3 = require('@aws-sdk/client-s3');
+    } catch (error) {
+        throw new Error('STORAGE_DRIVER=s3 needs the @aws-sdk/client-s3 package (npm install @aws-sdk/client-s3)');
+    }
+
+    const client = new s3.S3Client({ region, endpoint, forcePathStyle });
+
+    return {
+        async put(key, body, contentType) {
+            await client.send(new s3.PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }));
+        },
+
+        async get(key) {
+            try {
+                const result = await client.send(new s3.GetObjectCommand({ Bucket: bucket, Key: key }));
+                return { stream: result.Body, size: result.ContentLength };
+            } catch (error) {
+                if (error.name === 'NoSuchKey') return null;
+                throw error;
+            }
+        },
+
+        async remove(key) {
+            await client.send(new s3.DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        }
+    };
+}
+
+function createStorage(env = process.env) {
+    const driver = env.STORAGE_DRIVER || 'local';
+
+    if (driver === 'local') {
+        if (env.VERCEL) throw new Error('STORAGE_DRIVER=local loses uploads on Vercel; set STORAGE_DRIVER=s3');
+        return createLocalStorage(env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'));
+    }
+
+    if (driver === 's3') {
+        if (!env.S3_BUCKET) throw new Error('STORAGE_DRIVER=s3 needs S3_BUCKET');
+        return createS3Storage({
+            bucket: env.S3_BUCKET,
+            region: env.S3_REGION || env.AWS_REGION || 'us-east-1',
+            endpoint: env.S3_ENDPOINT || undefined,
+            forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true'
+        });
+    }
+
+    throw new Error(`Unknown STORAGE_DRIVER ${driver}; use local or s3`);
+}
+
+// Delete files queued more than ORPHAN_RETENTION_DAYS ago that no material refers
+// to any more. A key can be queued and then reused, e.g. when an archive import
+// deletes and reinserts materials, so the check happens here rather than when
+// queueing. Returns how many were removed.
+async function removeOrphanedFiles(db, storage) {
+    let removed = 0;
+    let failure = null;
+    let claimed;
+
+    do {
+        claimed = await db.query(`
+            DELETE FROM orphaned_files o
+            WHERE o.storage_key IN (
+                SELECT storage_key FROM orphaned_files
+                WHERE created_at < CURRENT_TIMESTAMP - make_interval(days => $2)
+                ORDER BY created_at LIMIT $1 FOR UPDATE SKIP LOCKED
+            )
+            RETURNING o.storage_key, o.created_at,
+                      EXISTS (SELECT 1 FROM materials m WHERE m.file_key = o.storage_key) AS in_use
+        `, [ORPHAN_BATCH_SIZE, ORPHAN_RETENTION_DAYS]);
+
+        for (const row of claimed.rows) {
+            if (row.in_use) continue;
+            try {
+                await storage.remove(row.storage_key);
+                removed++;
+            } catch (error) {
+                // Put it back for the next sweep
+                await db.query(
+                    'INSERT INTO orphaned_files (storage_key, created_at) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+                    [row.storage_key, row.created_at]
+                );
+                failure = failure || error;
+            }
+        }
+    } while (claimed.rows.length === ORPHAN_BATCH_SIZE && !failure);
+
+    if (failure) throw failure;
+    return removed;
+}
+
+module.exports = { createStorage, removeOrphanedFiles };
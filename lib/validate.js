@@ -0,0 +1,146 @@
+// Declarative request validation. A schema maps field names to rules:
+//
+//   { type, required, nullable, min, max, minLength, maxLength, values, pattern, items }
+//
+// type is one of string, integer, boolean, date, time, url, array or object.
+// Query and params values arrive as strings, so integers and booleans may be
+// given as strings anywhere. An omitted field or '' counts as missing; null is
+// only accepted for nullable fields. Problems come back as [{ location, field, message }].
+
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T/;
+const US_DATE = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/;
+const TIME = /^([01]?\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+const INTEGER = /^-?\d+$/;
+const BOOLEAN_STRINGS = ['true', 'false', '1', '0', 'yes', 'no', 'on', 'off'];
+
+function isCalendarDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// Read a date-only value as YYYY-MM-DD without going through the local timezone.
+// Accepts YYYY-MM-DD, an ISO timestamp (its date part as written) and M/D/YYYY from
+// spreadsheets; returns null for anything else.
+function parseDateOnly(value) {
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+    }
+
+    if (typeof value !== 'string') return null;
+
+    const text = value.trim();
+    const iso = (ISO_DATE_TIME.test(text) ? text.slice(0, 10) : text).match(DATE_ONLY);
+    if (iso) {
+        const [, year, month, day] = iso.map(Number);
+        return isCalendarDate(year, month, day) ? iso[0] : null;
+    }
+
+    const us = text.match(US_DATE);
+    if (us) {
+        const [, month, day, year] = us.map(Number);
+        return isCalendarDate(year, month, day)
+            ? `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+            : null;
+    }
+
+    return null;
+}
+
+function isHttpUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (error) {
+        return false;
+    }
+}
+
+// Problem with one value, or null if it satisfies the rule
+function checkValue(value, rule) {
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') return 'must be text';
+            if (rule.required && !value.trim()) return 'is required';
+            if (rule.minLength && value.length < rule.minLength) return `must be at least ${rule.minLength} characters`;
+            if (rule.maxLength && value.length > rule.maxLength) return `must be at most ${rule.maxLength} characters`;
+            if (rule.pattern && !rule.pattern.test(value)) return rule.patternMessage || 'has an invalid format';
+            break;
+        case 'integer': {
+            const number = typeof value === 'string' && INTEGER.test(value.trim()) ? Number(value) : value;
+            if (!Number.isInteger(number)) return 'must be a whole number';
+            if (rule.min !== undefined && number < rule.min) return `must be at least ${rule.min}`;
+            if (rule.max !== undefined && number > rule.max) return `must be at most ${rule.max}`;
+            break;
+        }
+        case 'boolean':
+            if (typeof value !== 'boolean' && !BOOLEAN_STRINGS.includes(String(value).toLowerCase())) {
+                return 'must be true or false';
+            }
+            break;
+        case 'date':
+            if (!parseDateOnly(value)) return 'must be a date (YYYY-MM-DD)';
+            break;
+        case 'time':
+            if (typeof value !== 'string' || !TIME.test(value)) return 'must be a time (HH:MM)';
+            break;
+        case 'url':
+            if (typeof value !== 'string' || !isHttpUrl(value)) return 'must be an http(s) URL';
+            break;
+        case 'array':
+            if (!Array.isArray(value)) return 'must be a list';
+            if (rule.max !== undefined && value.length > rule.max) return `must have at most ${rule.max} items`;
+            if (rule.items) {
+                for (const item of value) {
+                    const problem = checkValue(item, rule.items);
+                    if (problem) return `items ${problem}`;
+                }
+            }
+            break;
+        case 'object':
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object';
+            break;
+        default:
+            break;
+    }
+
+    if (rule.values && !rule.values.includes(value)) {
+        return `must be one of ${rule.values.join(', ')}`;
+    }
+
+    return null;
+}
+
+// Check one part of a request (body, query or params) against a schema
+function validateSection(schema, source, location) {
+    const problems = [];
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const value = source ? source[field] : undefined;
+        if (value === undefined || value === '') {
+            if (rule.required) problems.push({ location, field, message: `${field} is required` });
+            continue;
+        }
+
+        if (value === null) {
+            if (!rule.nullable) problems.push({ location, field, message: `${field} cannot be null` });
+            continue;
+        }
+
+        const problem = checkValue(value, rule);
+        if (problem) {
+            problems.push({ location, field, message: `${field} ${problem}` });
+        }
+    }
+
+    return problems;
+}
+
+// Validate { params, query, body } schemas against a request
+function validateParts(schemas, req) {
+    return ['params', 'query', 'body'].flatMap(location =>
+        schemas[location] ? validateSection(schemas[location], req[location], location) : []
+    );
+}
+
+module.exports = { parseDateOnly, isHttpUrl, validateParts };
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+
+// Seconds to wait before each retry; a delivery fails for good after the last one
+const RETRY_DELAYS = [60, 300, 1800, 7200, 43200];
+const DELIVERY_TIMEOUT_MS = 10000;
+const DELIVERY_BATCH_SIZE = 20;
+// A claimed delivery becomes due again if its sender dies before recording the result.
+// The lease covers every delivery in the batch timing out, plus this margin.
+const CLAIM_LEASE_MARGIN_SECONDS = 30;
+const MAX_ERROR_LENGTH = 500;
+
+// HMAC-SHA256 of "<timestamp>.<body>" with the subscription's secret. Receivers
+// recompute it and compare to X-WLWV-Signature (sha256=<hex>), rejecting stale
+// timestamps to stop replays.
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Queue a change for every active subscription that wants it
+async function enqueueDeliveries(db, change) {
+    const result = await db.query(`
+        INSERT INTO webhook_deliveries (webhook_id, event_type, payload)
+        SELECT id, $1::text, $2 FROM webhooks
+        WHERE active
+          AND (cardinality(event_types) = 0 OR $1::text = ANY(event_types))
+          AND (school IS NULL OR $3::varchar IS NULL OR school = $3)
+    `, [change.type, JSON.stringify(change), change.school]);
+    return result.rowCount;
+}
+
+// POST one payload; any 2xx response counts as delivered
+async function sendDelivery(delivery, timeout) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+
+    try {
+        const response = await fetch(delivery.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'wlwv-calendar-webhooks',
+                'X-WLWV-Event': delivery.event_type,
+                'X-WLWV-Delivery': String(delivery.id),
+                'X-WLWV-Timestamp': timestamp,
+                'X-WLWV-Signature': signPayload(delivery.secret, timestamp, body)
+            },
+            body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(timeout)
+        });
+
+        if (response.ok) {
+            return { ok: true, status: response.status };
+        }
+
+        const text = await response.text().catch(() => '');
+        return { ok: false, status: response.status, error: `HTTP ${response.status}${text ? `: ${text}` : ''}` };
+    } catch (error) {
+        return { ok: false, status: null, error: error.name === 'TimeoutError' ? 'Timed out' : error.message };
+    }
+}
+
+// Claim due deliveries, send them and record each attempt. Returns how many were sent.
+// timeout is how long a receiver has to answer, in milliseconds. With a deadline
+// (a Date.now() value) only as many are claimed as could all time out before it.
+async function processDueDeliveries(pool, { timeout = DELIVERY_TIMEOUT_MS, deadline = Infinity } = {}) {
+    const limit = Math.min(DELIVERY_BATCH_SIZE, Math.floor((deadline - Date.now()) / timeout));
+    if (limit <= 0) return 0;
+
+    const lease = Math.ceil(limit * timeout / 1000) + CLAIM_LEASE_MARGIN_SECONDS;
+    const claimed = await pool.query(`
+        UPDATE webhook_deliveries d
+        SET attempts = d.attempts + 1,
+            next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $2),
+            updated_at = CURRENT_TIMESTAMP
+        FROM webhooks w
+        WHERE w.id = d.webhook_id AND d.id IN (
+            SELECT id FROM webhook_deliveries
+            WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+              AND webhook_id IN (SELECT id FROM webhooks WHERE active)
+            ORDER BY next_attempt_at, id
+            LIMIT $1
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING d.id, d.event_type, d.payload, d.attempts, w.url, w.secret
+    `, [limit, lease]);
+
+    for (const delivery of claimed.rows) {
+        const result = await sendDelivery(delivery, timeout);
+        const error = result.error ? result.error.slice(0, MAX_ERROR_LENGTH) : null;
+
+        if (result.ok) {
+            await pool.query(`
+                UPDATE webhook_deliveries
+                SET status = 'succeeded', response_status = $2, error = NULL, next_attempt_at = NULL,
+                    delivered_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+            `, [delivery.id, result.status]);
+        } else if (delivery.attempts > RETRY_DELAYS.length) {
+            await pool.query(`
+                UPDATE webhook_deliveries
+                SET status = 'failed', response_status = $2, error = $3, next_attempt_at = NULL,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+            `, [delivery.id, result.status, error]);
+        } else {
+            await pool.query(`
+                UPDATE webhook_deliveries
+                SET response_status = $2, error = $3,
+                    next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $4), updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+            `, [delivery.id, result.status, error, RETRY_DELAYS[delivery.attempts - 1]]);
+        }
+    }
+
+    return claimed.rows.length;
+}
+
+// Runs processDueDeliveries in the background until nothing is due. Calls made
+// while a run is in progress make it check again instead of starting another.
+function createDispatcher(getPool, { log = console.error } = {}) {
+    let running = false;
+    let requested = false;
+
+    async function drain() {
+        running = true;
+        try {
+            do {
+                requested = false;
+                const pool = getPool();
+                if (!pool) break;
+                while (await processDueDeliveries(pool) > 0) { /* keep sending */ }
+            } while (requested);
+        } catch (error) {
+            log('Webhook dispatch failed', error);
+        } finally {
+            running = false;
+        }
+    }
+
+    return {
+        run() {
+            if (running) {
+                requested = true;
+                return;
+            }
+            drain();
+        }
+    };
+}
+
+module.exports = { signPayload, sendDelivery, enqueueDeliveries, processDueDeliveries, createDispatcher };
@@ -0,0 +1,51 @@
+-- Core calendar tables. Written with IF NOT EXISTS so databases created by the
+-- old /api/init route can adopt migrations without changes.
+
+CREATE TABLE IF NOT EXISTS day_schedules (
+    date DATE PRIMARY KEY,
+    schedule VARCHAR(1) NOT NULL CHECK (schedule IN ('A', 'B')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS day_types (
+    date DATE PRIMARY KEY,
+    type VARCHAR(50) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS events (
+    id SERIAL PRIMARY KEY,
+    school VARCHAR(10) NOT NULL CHECK (school IN ('wlhs', 'wvhs')),
+    date DATE NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    department VARCHAR(50),
+    time TIME,
+    description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS materials (
+    id SERIAL PRIMARY KEY,
+    school VARCHAR(10) NOT NULL CHECK (school IN ('wlhs', 'wvhs')),
+    date DATE NOT NULL,
+    grade_level INTEGER NOT NULL CHECK (grade_level BETWEEN 9 AND 12),
+    title VARCHAR(255) NOT NULL,
+    link TEXT NOT NULL,
+    description TEXT DEFAULT '',
+    password TEXT DEFAULT '',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Added after the first release; older databases never received it
+ALTER TABLE materials ADD COLUMN IF NOT EXISTS password TEXT DEFAULT '';
+
+CREATE INDEX IF NOT EXISTS idx_events_school_date ON events(school, date);
+CREATE INDEX IF NOT EXISTS idx_materials_school_date_grade ON materials(school, date, grade_level);
+CREATE INDEX IF NOT EXISTS idx_events_date ON events(date);
+CREATE INDEX IF NOT EXISTS idx_materials_date ON materials(date);
+CREATE INDEX IF NOT EXISTS idx_day_schedules_date ON day_schedules(date);
+CREATE INDEX IF NOT EXISTS idx_day_types_date ON day_types(date);
@@ -0,0 +1,34 @@
+const { hashPassword } = require('../lib/passwords');
+
+// Store material passwords as salted hashes, convert any plaintext ones and drop
+// the plaintext column. Failed unlocks are counted per client IP and material in
+// unlock_attempts so the throttle holds across server instances.
+module.exports = {
+    async up(client) {
+        await client.query('ALTER TABLE materials ADD COLUMN IF NOT EXISTS password_hash TEXT');
+
+        const plaintext = await client.query(
+            "SELECT id, password FROM materials WHERE password <> '' AND password_hash IS NULL"
+        );
+
+        for (const row of plaintext.rows) {
+            await client.query(
+                'UPDATE materials SET password_hash = $1 WHERE id = $2',
+                [await hashPassword(row.password), row.id]
+            );
+        }
+
+        await client.query('ALTER TABLE materials DROP COLUMN password');
+
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS unlock_attempts (
+                ip TEXT NOT NULL,
+                material_id INTEGER NOT NULL REFERENCES materials(id) ON DELETE CASCADE,
+                attempts INTEGER NOT NULL DEFAULT 1,
+                reset_at TIMESTAMP NOT NULL,
+                PRIMARY KEY (ip, material_id)
+            )
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS idx_unlock_attempts_reset_at ON unlock_attempts(reset_at)');
+    }
+};
@@ -0,0 +1,9 @@
+-- Recurrence: series rows carry an rrule; edited occurrences point back via series_id
+
+ALTER TABLE events ADD COLUMN IF NOT EXISTS rrule TEXT;
+ALTER TABLE events ADD COLUMN IF NOT EXISTS exdates DATE[] NOT NULL DEFAULT '{}';
+ALTER TABLE events ADD COLUMN IF NOT EXISTS ab_day VARCHAR(1) CHECK (ab_day IN ('A', 'B'));
+ALTER TABLE events ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES events(id) ON DELETE CASCADE;
+ALTER TABLE events ADD COLUMN IF NOT EXISTS recurrence_date DATE;
+
+CREATE INDEX IF NOT EXISTS idx_events_series ON events(series_id);
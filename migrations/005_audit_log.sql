@@ -0,0 +1,74 @@
+-- Row-level audit trail for the calendar tables. The acting admin is passed in
+-- with set_config('app.actor', ..., true) inside each write transaction.
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    table_name VARCHAR(50) NOT NULL,
+    record_key TEXT NOT NULL,
+    action VARCHAR(10) NOT NULL CHECK (action IN ('insert', 'update', 'delete')),
+    before_data JSONB,
+    after_data JSONB,
+    school VARCHAR(10),
+    date DATE,
+    actor VARCHAR(100),
+    undo_of BIGINT REFERENCES audit_log(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_table_key ON audit_log(table_name, record_key);
+CREATE INDEX IF NOT EXISTS idx_audit_log_date ON audit_log(date);
+CREATE INDEX IF NOT EXISTS idx_audit_log_school ON audit_log(school);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_audit_log_undo_of ON audit_log(undo_of) WHERE undo_of IS NOT NULL;
+
+CREATE OR REPLACE FUNCTION record_audit() RETURNS trigger AS $$
+DECLARE
+    old_row JSONB;
+    new_row JSONB;
+    row_data JSONB;
+BEGIN
+    IF TG_OP <> 'INSERT' THEN
+        old_row := to_jsonb(OLD);
+    END IF;
+    IF TG_OP <> 'DELETE' THEN
+        new_row := to_jsonb(NEW);
+    END IF;
+
+    -- Ignore updates that only touched updated_at
+    IF TG_OP = 'UPDATE' AND (old_row - 'updated_at') = (new_row - 'updated_at') THEN
+        RETURN NULL;
+    END IF;
+
+    row_data := COALESCE(new_row, old_row);
+
+    INSERT INTO audit_log (table_name, record_key, action, before_data, after_data, school, date, actor, undo_of)
+    VALUES (
+        TG_TABLE_NAME,
+        COALESCE(row_data->>'id', row_data->>'date'),
+        lower(TG_OP),
+        old_row,
+        new_row,
+        row_data->>'school',
+        (row_data->>'date')::date,
+        NULLIF(current_setting('app.actor', true), ''),
+        NULLIF(current_setting('app.undo_of', true), '')::bigint
+    );
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_day_schedules ON day_schedules;
+CREATE TRIGGER audit_day_schedules AFTER INSERT OR UPDATE OR DELETE ON day_schedules
+    FOR EACH ROW EXECUTE FUNCTION record_audit();
+
+DROP TRIGGER IF EXISTS audit_day_types ON day_types;
+CREATE TRIGGER audit_day_types AFTER INSERT OR UPDATE OR DELETE ON day_types
+    FOR EACH ROW EXECUTE FUNCTION record_audit();
+
+DROP TRIGGER IF EXISTS audit_events ON events;
+CREATE TRIGGER audit_events AFTER INSERT OR UPDATE OR DELETE ON events
+    FOR EACH ROW EXECUTE FUNCTION record_audit();
+
+DROP TRIGGER IF EXISTS audit_materials ON materials;
+CREATE TRIGGER audit_materials AFTER INSERT OR UPDATE OR DELETE ON materials
+    FOR EACH ROW EXECUTE FUNCTION record_audit();
@@ -0,0 +1,27 @@
+-- Deleted events and materials stay in a trash for 30 days before being purged
+
+ALTER TABLE events ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE materials ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_events_deleted_at ON events(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_materials_deleted_at ON materials(deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Copies of data taken before destructive operations such as a reset
+CREATE TABLE IF NOT EXISTS snapshots (
+    id SERIAL PRIMARY KEY,
+    reason VARCHAR(50) NOT NULL,
+    scope JSONB NOT NULL,
+    data JSONB NOT NULL,
+    created_by VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One-time tokens confirming a reset of a specific scope
+CREATE TABLE IF NOT EXISTS reset_confirmations (
+    token_hash CHAR(64) PRIMARY KEY,
+    scope JSONB NOT NULL,
+    created_by VARCHAR(100),
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
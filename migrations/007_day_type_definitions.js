@@ -0,0 +1,82 @@
+// Managed catalog of day types. Existing free-form day_types.type values are
+// normalized to keys ("Late Start", "late-start" and "LateStart" all become
+// late-start) and day_types.type then references the catalog.
+
+const DEFAULT_DEFINITIONS = [
+    { key: 'no-school', label: 'No School', color: '#9e9e9e', in_session: false },
+    { key: 'holiday', label: 'Holiday', color: '#e53935', in_session: false },
+    { key: 'break', label: 'Break', color: '#8e24aa', in_session: false },
+    { key: 'teacher-work-day', label: 'Teacher Work Day', color: '#6d4c41', in_session: false },
+    { key: 'late-start', label: 'Late Start', color: '#fb8c00', in_session: true },
+    { key: 'early-release', label: 'Early Release', color: '#fdd835', in_session: true }
+];
+
+// How the rotation generator recognized days off before the catalog existed
+const NO_SCHOOL_PATTERNS = [
+    /\bno school\b/,
+    /\bholiday\b/,
+    /\bbreak\b/,
+    /\bteacher work ?day\b/,
+    /\bsnow day\b/,
+    /\bclosure\b/,
+    /\bclosed\b/
+];
+
+function toKey(type) {
+    return String(type)
+        .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 50) || 'unnamed';
+}
+
+module.exports = {
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS day_type_definitions (
+                key VARCHAR(50) PRIMARY KEY CHECK (key ~ '^[a-z0-9]+(-[a-z0-9]+)*$'),
+                label VARCHAR(100) NOT NULL,
+                color VARCHAR(7) CHECK (color ~ '^#[0-9a-fA-F]{6}$'),
+                in_session BOOLEAN NOT NULL DEFAULT true,
+                counts_in_rotation BOOLEAN NOT NULL DEFAULT true,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        for (const definition of DEFAULT_DEFINITIONS) {
+            await client.query(`
+                INSERT INTO day_type_definitions (key, label, color, in_session, counts_in_rotation)
+                VALUES ($1, $2, $3, $4, $4)
+                ON CONFLICT (key) DO NOTHING
+            `, [definition.key, definition.label, definition.color, definition.in_session]);
+        }
+
+        // Most common spelling of each type becomes its label
+        const existing = await client.query(`
+            SELECT type, COUNT(*) AS uses FROM day_types GROUP BY type ORDER BY uses DESC, type
+        `);
+
+        for (const { type } of existing.rows) {
+            const key = toKey(type);
+            const normalized = String(type).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+            const inSession = !NO_SCHOOL_PATTERNS.some(pattern => pattern.test(normalized));
+
+            await client.query(`
+                INSERT INTO day_type_definitions (key, label, in_session, counts_in_rotation)
+                VALUES ($1, $2, $3, $3)
+                ON CONFLICT (key) DO NOTHING
+            `, [key, String(type).trim().slice(0, 100), inSession]);
+
+            if (key !== type) {
+                await client.query('UPDATE day_types SET type = $1 WHERE type = $2', [key, type]);
+            }
+        }
+
+        await client.query(`
+            ALTER TABLE day_types
+            ADD CONSTRAINT day_types_type_fkey FOREIGN KEY (type) REFERENCES day_type_definitions(key)
+        `);
+    }
+};
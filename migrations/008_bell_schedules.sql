@@ -0,0 +1,17 @@
+-- Period timetables per school. A schedule with no day type is the regular
+-- schedule; others apply on dates with that day type (late start, assembly, ...).
+-- periods is a JSON array of { name, start, end, ab_day } with HH:MM times.
+
+CREATE TABLE IF NOT EXISTS bell_schedules (
+    id SERIAL PRIMARY KEY,
+    school VARCHAR(10) NOT NULL CHECK (school IN ('wlhs', 'wvhs')),
+    name VARCHAR(100) NOT NULL,
+    day_type VARCHAR(50) REFERENCES day_type_definitions(key),
+    periods JSONB NOT NULL DEFAULT '[]',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One schedule per school and day type, including one regular schedule
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bell_schedules_school_day_type
+    ON bell_schedules(school, COALESCE(day_type, ''));
@@ -0,0 +1,53 @@
+-- Schools become data instead of CHECK constraints, and each school can override
+-- the district A/B letter or day type on specific dates.
+
+CREATE TABLE IF NOT EXISTS schools (
+    code VARCHAR(10) PRIMARY KEY CHECK (code ~ '^[a-z0-9]+(-[a-z0-9]+)*$'),
+    name VARCHAR(100) NOT NULL,
+    primary_color VARCHAR(7) CHECK (primary_color ~ '^#[0-9a-fA-F]{6}$'),
+    secondary_color VARCHAR(7) CHECK (secondary_color ~ '^#[0-9a-fA-F]{6}$'),
+    min_grade INTEGER NOT NULL DEFAULT 9 CHECK (min_grade BETWEEN 0 AND 12),
+    max_grade INTEGER NOT NULL DEFAULT 12 CHECK (max_grade BETWEEN 0 AND 12),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (min_grade <= max_grade)
+);
+
+INSERT INTO schools (code, name, min_grade, max_grade) VALUES
+    ('wlhs', 'West Linn High School', 9, 12),
+    ('wvhs', 'Wilsonville High School', 9, 12)
+ON CONFLICT (code) DO NOTHING;
+
+ALTER TABLE events DROP CONSTRAINT IF EXISTS events_school_check;
+ALTER TABLE materials DROP CONSTRAINT IF EXISTS materials_school_check;
+ALTER TABLE materials DROP CONSTRAINT IF EXISTS materials_grade_level_check;
+ALTER TABLE bell_schedules DROP CONSTRAINT IF EXISTS bell_schedules_school_check;
+
+ALTER TABLE materials ADD CONSTRAINT materials_grade_level_check CHECK (grade_level BETWEEN 0 AND 12);
+
+ALTER TABLE events ADD CONSTRAINT events_school_fkey
+    FOREIGN KEY (school) REFERENCES schools(code) ON UPDATE CASCADE;
+ALTER TABLE materials ADD CONSTRAINT materials_school_fkey
+    FOREIGN KEY (school) REFERENCES schools(code) ON UPDATE CASCADE;
+ALTER TABLE bell_schedules ADD CONSTRAINT bell_schedules_school_fkey
+    FOREIGN KEY (school) REFERENCES schools(code) ON UPDATE CASCADE ON DELETE CASCADE;
+
+-- Per-school overrides of the district calendar. A NULL schedule or type means the
+-- school has no letter or no day type that date even if the district does.
+CREATE TABLE IF NOT EXISTS school_day_schedules (
+    school VARCHAR(10) NOT NULL REFERENCES schools(code) ON UPDATE CASCADE ON DELETE CASCADE,
+    date DATE NOT NULL,
+    schedule VARCHAR(1) CHECK (schedule IN ('A', 'B')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (school, date)
+);
+
+CREATE TABLE IF NOT EXISTS school_day_types (
+    school VARCHAR(10) NOT NULL REFERENCES schools(code) ON UPDATE CASCADE ON DELETE CASCADE,
+    date DATE NOT NULL,
+    type VARCHAR(50) REFERENCES day_type_definitions(key),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (school, date)
+);
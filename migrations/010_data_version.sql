@@ -0,0 +1,35 @@
+-- One counter bumped by every statement that writes a table the read cache
+-- depends on, so checking whether cached responses are still current is a
+-- single-row read instead of a scan of every calendar table.
+
+CREATE TABLE IF NOT EXISTS data_version (
+    id BOOLEAN PRIMARY KEY DEFAULT true CHECK (id),
+    version BIGINT NOT NULL DEFAULT 0,
+    changed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO data_version DEFAULT VALUES ON CONFLICT DO NOTHING;
+
+CREATE OR REPLACE FUNCTION bump_data_version() RETURNS trigger AS $$
+BEGIN
+    UPDATE data_version SET version = version + 1, changed_at = CURRENT_TIMESTAMP;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DO $$
+DECLARE
+    versioned TEXT;
+BEGIN
+    FOREACH versioned IN ARRAY ARRAY[
+        'day_schedules', 'day_types', 'day_type_definitions', 'events', 'materials',
+        'bell_schedules', 'schools', 'school_day_schedules', 'school_day_types'
+    ] LOOP
+        EXECUTE format('DROP TRIGGER IF EXISTS bump_data_version ON %I', versioned);
+        EXECUTE format(
+            'CREATE TRIGGER bump_data_version AFTER INSERT OR UPDATE OR DELETE OR TRUNCATE ON %I '
+            'FOR EACH STATEMENT EXECUTE FUNCTION bump_data_version()',
+            versioned
+        );
+    END LOOP;
+END $$;
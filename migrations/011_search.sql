@@ -0,0 +1,17 @@
+-- Full-text search indexes. The expressions must match EVENT_SEARCH_VECTOR and
+-- MATERIAL_SEARCH_VECTOR in server.js exactly or the planner will not use them.
+-- Password-protected materials are indexed by title only.
+
+CREATE INDEX IF NOT EXISTS idx_events_search ON events USING GIN ((
+    setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(department, '')), 'B') ||
+    setweight(to_tsvector('english', COALESCE(description, '')), 'C')
+));
+
+CREATE INDEX IF NOT EXISTS idx_materials_search ON materials USING GIN ((
+    CASE WHEN password_hash IS NOT NULL
+        THEN setweight(to_tsvector('english', COALESCE(title, '')), 'A')
+        ELSE setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+             setweight(to_tsvector('english', COALESCE(description, '')), 'C')
+    END
+));
@@ -0,0 +1,17 @@
+-- Account roles. District admins manage everything; school admins manage their
+-- school's events, materials, bell schedules and overrides; department editors
+-- manage their school's events in one department. Existing accounts keep full access.
+
+ALTER TABLE admins ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'district_admin';
+ALTER TABLE admins ADD COLUMN IF NOT EXISTS school VARCHAR(10) REFERENCES schools(code) ON UPDATE CASCADE;
+ALTER TABLE admins ADD COLUMN IF NOT EXISTS department VARCHAR(50);
+
+ALTER TABLE admins ADD CONSTRAINT admins_role_check
+    CHECK (role IN ('district_admin', 'school_admin', 'department_editor'));
+
+-- Each role carries exactly the scope it needs
+ALTER TABLE admins ADD CONSTRAINT admins_role_scope_check CHECK (
+    (role = 'district_admin' AND school IS NULL AND department IS NULL) OR
+    (role = 'school_admin' AND school IS NOT NULL AND department IS NULL) OR
+    (role = 'department_editor' AND school IS NOT NULL AND department IS NOT NULL)
+);
@@ -0,0 +1,15 @@
+-- Recent changes for live calendar updates. Every server instance LISTENs on the
+-- change_events channel; the notification carries only the row id, since NOTIFY
+-- payloads are limited to 8000 bytes. Rows are pruned after a day and let
+-- reconnecting clients resume from their Last-Event-ID.
+
+CREATE TABLE IF NOT EXISTS change_events (
+    id BIGSERIAL PRIMARY KEY,
+    type VARCHAR(50) NOT NULL,
+    -- NULL for district-wide changes; no foreign key so the log outlives a school
+    school VARCHAR(10),
+    payload JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_change_events_created ON change_events(created_at);
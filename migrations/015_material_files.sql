@@ -0,0 +1,33 @@
+-- Uploaded files for materials. A material has a link, a file or both; the file
+-- itself lives in the configured storage (local disk or an S3 bucket) under
+-- file_key. Files dropped by an update or a hard delete are queued in
+-- orphaned_files for the server to remove from storage.
+
+ALTER TABLE materials ALTER COLUMN link DROP NOT NULL;
+ALTER TABLE materials ADD COLUMN IF NOT EXISTS file_key TEXT;
+ALTER TABLE materials ADD COLUMN IF NOT EXISTS file_name VARCHAR(255);
+ALTER TABLE materials ADD COLUMN IF NOT EXISTS file_type VARCHAR(100);
+ALTER TABLE materials ADD COLUMN IF NOT EXISTS file_size INTEGER;
+
+ALTER TABLE materials ADD CONSTRAINT materials_link_or_file_check
+    CHECK (link IS NOT NULL OR file_key IS NOT NULL);
+
+CREATE INDEX IF NOT EXISTS idx_materials_file_key ON materials(file_key) WHERE file_key IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS orphaned_files (
+    storage_key TEXT PRIMARY KEY,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE OR REPLACE FUNCTION queue_orphaned_material_file() RETURNS trigger AS $$
+BEGIN
+    IF OLD.file_key IS NOT NULL AND (TG_OP = 'DELETE' OR NEW.file_key IS DISTINCT FROM OLD.file_key) THEN
+        INSERT INTO orphaned_files (storage_key) VALUES (OLD.file_key) ON CONFLICT DO NOTHING;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS orphan_material_files ON materials;
+CREATE TRIGGER orphan_material_files AFTER UPDATE OR DELETE ON materials
+    FOR EACH ROW EXECUTE FUNCTION queue_orphaned_material_file();
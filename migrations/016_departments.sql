@@ -0,0 +1,50 @@
+-- Department catalog per school. events.department and the department of
+-- department_editor accounts must name one of the school's departments; the
+-- foreign keys carry renames through to them.
+
+CREATE TABLE IF NOT EXISTS departments (
+    id SERIAL PRIMARY KEY,
+    school VARCHAR(10) NOT NULL REFERENCES schools(code) ON UPDATE CASCADE ON DELETE CASCADE,
+    name VARCHAR(50) NOT NULL,
+    color VARCHAR(7) CHECK (color ~ '^#[0-9a-fA-F]{6}$'),
+    contact_email VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (school, name)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_departments_school_lower_name ON departments(school, lower(name));
+
+-- Seed the catalog from the departments already in use, taking the most common
+-- spelling where only the case differs
+UPDATE events SET department = NULL WHERE trim(department) = '';
+
+INSERT INTO departments (school, name)
+SELECT DISTINCT ON (school, lower(name)) school, name
+FROM (
+    SELECT school, trim(department) AS name, COUNT(*) AS uses
+    FROM events WHERE department IS NOT NULL
+    GROUP BY school, trim(department)
+    UNION ALL
+    SELECT school, trim(department), 0 FROM admins WHERE department IS NOT NULL
+) used
+ORDER BY school, lower(name), uses DESC, name
+ON CONFLICT DO NOTHING;
+
+UPDATE events e SET department = d.name
+FROM departments d
+WHERE d.school = e.school AND lower(d.name) = lower(trim(e.department)) AND e.department <> d.name;
+
+UPDATE admins a SET department = d.name
+FROM departments d
+WHERE d.school = a.school AND lower(d.name) = lower(trim(a.department)) AND a.department <> d.name;
+
+ALTER TABLE events ADD CONSTRAINT events_department_fkey
+    FOREIGN KEY (school, department) REFERENCES departments(school, name) ON UPDATE CASCADE;
+ALTER TABLE admins ADD CONSTRAINT admins_department_fkey
+    FOREIGN KEY (school, department) REFERENCES departments(school, name) ON UPDATE CASCADE;
+
+-- Cached reads include the catalog, so changes to it bump data_version too
+DROP TRIGGER IF EXISTS bump_data_version ON departments;
+CREATE TRIGGER bump_data_version AFTER INSERT OR UPDATE OR DELETE OR TRUNCATE ON departments
+    FOR EACH STATEMENT EXECUTE FUNCTION bump_data_version();
@@ -0,0 +1,85 @@
+-- School years and their terms (semesters, quarters). Years may not overlap;
+-- terms may, so quarters can sit inside semesters. Dates inside an archived
+-- year are read-only for the calendar tables until the year is unarchived.
+
+CREATE TABLE IF NOT EXISTS school_years (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(50) NOT NULL UNIQUE,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    archived_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT school_years_dates_check CHECK (end_date > start_date),
+    CONSTRAINT school_years_no_overlap EXCLUDE USING gist (daterange(start_date, end_date, '[]') WITH &&)
+);
+
+CREATE TABLE IF NOT EXISTS terms (
+    id SERIAL PRIMARY KEY,
+    school_year_id INTEGER NOT NULL REFERENCES school_years(id) ON DELETE CASCADE,
+    name VARCHAR(50) NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT terms_dates_check CHECK (end_date >= start_date),
+    UNIQUE (school_year_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_terms_school_year ON terms(school_year_id);
+
+-- Materials marked carry_forward are copied into the next year on rollover
+ALTER TABLE materials ADD COLUMN IF NOT EXISTS carry_forward BOOLEAN NOT NULL DEFAULT false;
+
+-- Purging rows already in the trash is still allowed, as are changes cascaded
+-- from a renamed or deleted school or department
+CREATE OR REPLACE FUNCTION protect_archived_years() RETURNS trigger AS $$
+DECLARE
+    archived_name VARCHAR(50);
+BEGIN
+    IF pg_trigger_depth() > 1 OR (TG_OP = 'DELETE' AND to_jsonb(OLD)->>'deleted_at' IS NOT NULL) THEN
+        RETURN COALESCE(NEW, OLD);
+    END IF;
+
+    SELECT name INTO archived_name
+    FROM school_years
+    WHERE archived_at IS NOT NULL
+      AND (
+          (TG_OP <> 'INSERT' AND OLD.date BETWEEN start_date AND end_date)
+          OR (TG_OP <> 'DELETE' AND NEW.date BETWEEN start_date AND end_date)
+      )
+    LIMIT 1;
+
+    IF archived_name IS NOT NULL THEN
+        RAISE EXCEPTION 'School year % is archived', archived_name
+            USING ERRCODE = 'object_not_in_prerequisite_state';
+    END IF;
+
+    RETURN COALESCE(NEW, OLD);
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_archived_day_schedules ON day_schedules;
+CREATE TRIGGER protect_archived_day_schedules BEFORE INSERT OR UPDATE OR DELETE ON day_schedules
+    FOR EACH ROW EXECUTE FUNCTION protect_archived_years();
+
+DROP TRIGGER IF EXISTS protect_archived_day_types ON day_types;
+CREATE TRIGGER protect_archived_day_types BEFORE INSERT OR UPDATE OR DELETE ON day_types
+    FOR EACH ROW EXECUTE FUNCTION protect_archived_years();
+
+DROP TRIGGER IF EXISTS protect_archived_events ON events;
+CREATE TRIGGER protect_archived_events BEFORE INSERT OR UPDATE OR DELETE ON events
+    FOR EACH ROW EXECUTE FUNCTION protect_archived_years();
+
+DROP TRIGGER IF EXISTS protect_archived_materials ON materials;
+CREATE TRIGGER protect_archived_materials BEFORE INSERT OR UPDATE OR DELETE ON materials
+    FOR EACH ROW EXECUTE FUNCTION protect_archived_years();
+
+-- Cached reads are scoped by school year, so year and term changes bump data_version
+DROP TRIGGER IF EXISTS bump_data_version ON school_years;
+CREATE TRIGGER bump_data_version AFTER INSERT OR UPDATE OR DELETE OR TRUNCATE ON school_years
+    FOR EACH STATEMENT EXECUTE FUNCTION bump_data_version();
+
+DROP TRIGGER IF EXISTS bump_data_version ON terms;
+CREATE TRIGGER bump_data_version AFTER INSERT OR UPDATE OR DELETE OR TRUNCATE ON terms
+    FOR EACH STATEMENT EXECUTE FUNCTION bump_data_version();
@@ -0,0 +1,41 @@
+-- Bump data_version when a transaction commits instead of at each statement. The
+-- counter row is then only locked for the commit itself, so concurrent writers no
+-- longer wait on each other's whole transaction, and changed_at is the commit time.
+-- Constraint triggers are row-level only, so the function bumps once per transaction
+-- however many rows it wrote. TRUNCATE keeps a statement trigger.
+
+CREATE OR REPLACE FUNCTION bump_data_version() RETURNS trigger AS $$
+BEGIN
+    IF current_setting('app.data_version_bumped', true) = 'on' THEN
+        RETURN NULL;
+    END IF;
+
+    PERFORM set_config('app.data_version_bumped', 'on', true);
+    UPDATE data_version SET version = version + 1, changed_at = clock_timestamp();
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DO $$
+DECLARE
+    versioned TEXT;
+BEGIN
+    FOREACH versioned IN ARRAY ARRAY[
+        'day_schedules', 'day_types', 'day_type_definitions', 'events', 'materials',
+        'bell_schedules', 'schools', 'school_day_schedules', 'school_day_types',
+        'departments', 'school_years', 'terms'
+    ] LOOP
+        EXECUTE format('DROP TRIGGER IF EXISTS bump_data_version ON %I', versioned);
+        EXECUTE format(
+            'CREATE TRIGGER bump_data_version AFTER TRUNCATE ON %I '
+            'FOR EACH STATEMENT EXECUTE FUNCTION bump_data_version()',
+            versioned
+        );
+        EXECUTE format('DROP TRIGGER IF EXISTS bump_data_version_at_commit ON %I', versioned);
+        EXECUTE format(
+            'CREATE CONSTRAINT TRIGGER bump_data_version_at_commit AFTER INSERT OR UPDATE OR DELETE ON %I '
+            'DEFERRABLE INITIALLY DEFERRED FOR EACH ROW EXECUTE FUNCTION bump_data_version()',
+            versioned
+        );
+    END LOOP;
+END $$;
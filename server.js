@@ -1,12 +1,65 @@
 const express = require('express');
 const cors = require('cors');
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
 const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
 require('dotenv').config();
 
+const { hashPassword, verifyPassword } = require('./lib/passwords');
+const { parseCsvRecords } = require('./lib/csv');
+const { MAX_OCCURRENCES, addDays, weekdayOf, parseRRule, formatRRule, expandRRule } = require('./lib/rrule');
+const { CALENDAR_TIMEZONE, icsDate, buildIcsEvent, buildIcsCalendar } = require('./lib/ics');
+const { parseDateOnly, isHttpUrl, validateParts } = require('./lib/validate');
+const { migrateUp, migrationStatus } = require('./lib/migrate');
+const { enqueueDeliveries, processDueDeliveries, createDispatcher } = require('./lib/webhooks');
+const { recordChange, pruneChanges, createChangeStream } = require('./lib/changeStream');
+const { createStorage, removeOrphanedFiles } = require('./lib/storage');
+const { createLogger } = require('./lib/logger');
+const { createRegistry } = require('./lib/metrics');
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+const logger = createLogger();
+const metrics = createRegistry();
+const httpRequests = metrics.counter('http_requests_total', 'HTTP requests by method, route and status');
+const httpDuration = metrics.histogram('http_request_duration_seconds', 'HTTP request duration by method and route');
+const dbErrors = metrics.counter('db_errors_total', 'Database errors by SQLSTATE or connection error code');
+
+// Incoming IDs from a proxy or client are kept if they look sane, so one ID can follow a request across services
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+// Give every request an ID (echoed in X-Request-ID and on its log entries), then
+// log and count it once the response is done
+app.use((req, res, next) => {
+    const incoming = req.get('X-Request-ID');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    req.log = logger.child({ request_id: req.id });
+    res.set('X-Request-ID', req.id);
+
+    const started = process.hrtime.bigint();
+    res.on('close', () => {
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+        // The route pattern rather than the URL keeps the label set small; cached
+        // responses are answered before routing, so the read cache supplies it
+        const route = req.route ? req.baseUrl + req.route.path : req.routeLabel || 'unmatched';
+        const status = res.writableFinished ? res.statusCode : 499;
+
+        httpRequests.inc({ method: req.method, route, status });
+        httpDuration.observe({ method: req.method, route }, seconds);
+        req.log.info('Request completed', {
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            route,
+            status,
+            duration_ms: Math.round(seconds * 1000),
+            admin: req.admin ? req.admin.username : undefined
+        });
+    });
+    next();
+});
+
 // Production-ready middleware with FIXED CORS configuration
 app.use(cors({
     origin: process.env.NODE_ENV === 'production' ? [
@@ -18,6 +71,9 @@ app.use(cors({
     credentials: true
 }));
 
+// Vercel sits in front of the app, so trust its X-Forwarded-* headers
+app.set('trust proxy', 1);
+
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -27,16 +83,21 @@ app.use(express.static(path.join(__dirname, 'public')));
 // Global database connection
 let pool = null;
 
+// DATE and DATE[] columns stay YYYY-MM-DD strings; parsing them into local-midnight
+// Date objects shifts them a day when formatted in another timezone
+types.setTypeParser(types.builtins.DATE, value => value);
+types.setTypeParser(1182, types.getTypeParser(1009));
+
 // Initialize database connection pool
 function initializePool(dbUrl = null) {
     const connectionString = dbUrl || process.env.DATABASE_URL;
     
     if (!connectionString) {
-        console.error('No database URL provided');
+        logger.error('No database URL provided');
         return null;
     }
 
-    return new Pool({
+    const newPool = new Pool({
         connectionString,
         ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
         connectionTimeoutMillis: 10000,
@@ -44,6 +105,9 @@ function initializePool(dbUrl = null) {
         max: 20,
         min: 5
     });
+    // An idle client losing its connection is reported here; without a listener it would crash the process
+    newPool.on('error', error => logError('Idle database client error', error));
+    return newPool;
 }
 
 // Helper function to ensure pool exists and is valid
@@ -51,7 +115,7 @@ function ensurePoolExists() {
     if (!pool || pool.ended) {
         if (process.env.DATABASE_URL) {
             pool = initializePool();
-            console.log('Database pool (re)created');
+            logger.info('Database pool (re)created');
         } else {
             throw new Error('No database URL available');
         }
@@ -62,668 +126,6077 @@ function ensurePoolExists() {
 // Auto-initialize pool if DATABASE_URL is available
 if (process.env.DATABASE_URL) {
     pool = initializePool();
-    console.log('Database pool initialized from environment variable');
+    logger.info('Database pool initialized from environment variable');
+}
+
+// Bring the schema up to date on startup unless MIGRATE_ON_START=false. A failed run
+// leaves migrationsReady rejected, and the next API request starts another one.
+function startMigrations() {
+    const run = migrateUp(pool, { log: message => logger.info(message) })
+        .then(applied => {
+            if (applied.length) logger.info('Applied migrations', { migrations: applied });
+            return seedAdminFromEnv(pool);
+        });
+    run.catch(error => logError('Startup migration failed', error));
+    return run;
+}
+
+let migrationsReady = pool && process.env.MIGRATE_ON_START !== 'false'
+    ? startMigrations()
+    : Promise.resolve();
+
+// Error with an HTTP status, thrown from inside transactions to abort them
+class HttpError extends Error {
+    constructor(status, message, { code, details } = {}) {
+        super(message);
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Machine-readable code for each status in the error envelope
+const ERROR_CODES = {
+    400: 'bad_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    413: 'payload_too_large',
+    429: 'too_many_requests',
+    500: 'internal_error',
+    503: 'service_unavailable'
+};
+
+// Postgres errors caused by the request rather than the server, by SQLSTATE
+const PG_ERRORS = {
+    '22001': [400, 'invalid_value', 'A value is too long'],
+    '22007': [400, 'invalid_value', 'Invalid date or time'],
+    '22008': [400, 'invalid_value', 'Date or time out of range'],
+    '22P02': [400, 'invalid_value', 'Invalid value'],
+    '23502': [400, 'missing_value', 'A required value is missing'],
+    '23514': [400, 'invalid_value', 'A value is out of range'],
+    '23503': [409, 'conflict', 'Referenced record does not exist or is still in use'],
+    '23505': [409, 'conflict', 'A record with those values already exists'],
+    '55000': [409, 'conflict', 'Dates in an archived school year cannot be changed']
+};
+
+const CONNECTION_ERRORS = ['ECONNREFUSED', 'ENOTFOUND', 'ETIMEDOUT', 'ECONNRESET', '57P01', '57P03'];
+
+// Map any thrown error to { status, code, message, details } without leaking
+// internals: unexpected errors are logged and reported generically.
+function describeError(error) {
+    if (error instanceof HttpError) {
+        return {
+            status: error.status,
+            code: error.code || ERROR_CODES[error.status] || 'error',
+            message: error.message,
+            details: error.details
+        };
+    }
+
+    if (error && error.type === 'entity.parse.failed') {
+        return { status: 400, code: 'invalid_json', message: 'Request body is not valid JSON' };
+    }
+
+    if (error && error.type === 'entity.too.large') {
+        return { status: 413, code: ERROR_CODES[413], message: 'Request body is too large' };
+    }
+
+    if (error && PG_ERRORS[error.code]) {
+        const [status, code, message] = PG_ERRORS[error.code];
+        const details = error.column ? [{ field: error.column, message }] : undefined;
+        return { status, code, message, details };
+    }
+
+    if (error && (CONNECTION_ERRORS.includes(error.code) || /database url/i.test(error.message || ''))) {
+        return { status: 503, code: ERROR_CODES[503], message: 'Database is unavailable' };
+    }
+
+    return { status: 500, code: ERROR_CODES[500], message: 'Internal server error' };
+}
+
+// SQLSTATE of an error raised by Postgres, or the code of a failed connection; null otherwise
+function databaseErrorCode(error) {
+    if (!error || typeof error.code !== 'string') return null;
+    if (CONNECTION_ERRORS.includes(error.code)) return error.code;
+    return error.severity && /^[0-9A-Z]{5}$/.test(error.code) ? error.code : null;
+}
+
+function countDatabaseError(error) {
+    const code = databaseErrorCode(error);
+    if (code) dbErrors.inc({ code });
+}
+
+// Log an error that is not sent to a client, counting it if it came from the database.
+// Pass req.log to tag the entry with the request it happened in.
+function logError(message, error, log = logger) {
+    countDatabaseError(error);
+    log.error(message, { error });
+}
+
+// Send an error in the standard envelope, logging it if it is the server's fault
+function sendError(res, error, label = 'Request failed') {
+    const { status, code, message, details } = describeError(error);
+
+    countDatabaseError(error);
+    if (status >= 500) {
+        (res.req.log || logger).error(label, { error });
+    }
+
+    const body = { error: message, code, message };
+    if (details) body.details = details;
+    res.status(status).json(body);
+}
+
+// Give every JSON error response the { error, code, message } envelope; error is
+// kept alongside message for clients written against the older format
+function errorEnvelope(req, res, next) {
+    const json = res.json.bind(res);
+    res.json = body => {
+        if (res.statusCode >= 400 && body && typeof body.error === 'string' && !body.code) {
+            body = { ...body, code: ERROR_CODES[res.statusCode] || 'error', message: body.message || body.error };
+        }
+        return json(body);
+    };
+    next();
+}
+
+// Validate params, query and body against schemas before the handler runs
+function validateRequest(schemas) {
+    return (req, res, next) => {
+        const details = validateParts(schemas, req);
+
+        if (details.length) {
+            return sendError(res, new HttpError(400, details[0].message, { code: 'validation_failed', details }));
+        }
+
+        next();
+    };
+}
+
+// A 400 for a value the schemas cannot check on their own, in the shape validateRequest
+// reports problems. field may list several when the problem lies between them.
+function invalidField(field, message, location = 'body') {
+    const details = [].concat(field).map(name => ({ location, field: name, message }));
+    return new HttpError(400, message, { code: 'validation_failed', details });
+}
+
+// Run fn(client) in a transaction tagged with the acting admin for the audit log.
+// With rollback set the work is undone afterwards, for dry runs.
+async function withTransaction(req, fn, { rollback = false } = {}) {
+    const activePool = ensurePoolExists();
+    const client = await activePool.connect();
+
+    try {
+        await client.query('BEGIN');
+        await client.query("SELECT set_config('app.actor', $1, true)", [req.admin ? req.admin.username : '']);
+        const result = await fn(client);
+        await client.query(rollback ? 'ROLLBACK' : 'COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// Schools live in the schools table; the list is tiny, so it is read per request.
+// Each school carries the names of its departments.
+async function loadSchools(client) {
+    const result = await (client || ensurePoolExists()).query(`
+        SELECT code, name, min_grade, max_grade,
+               ARRAY(SELECT d.name FROM departments d WHERE d.school = s.code ORDER BY d.name) AS departments
+        FROM schools s ORDER BY code
+    `);
+    return new Map(result.rows.map(row => [row.code, row]));
+}
+
+// Fields of body that are missing or blank, for helpers that also check rows no schema has seen
+function missingFields(body, fields) {
+    return fields.filter(field => body[field] === undefined || body[field] === null || body[field] === '');
+}
+
+function unknownSchoolError(schools) {
+    return `School must be one of: ${[...schools.keys()].join(', ')}`;
+}
+
+// The catalog spelling of one of a school's departments, matched ignoring case, or null
+function findDepartment(school, name) {
+    const wanted = String(name).trim().toLowerCase();
+    return school.departments.find(department => department.toLowerCase() === wanted) || null;
+}
+
+// ?department=Science,Athletics as lowercase names for matching
+function parseDepartmentList(value) {
+    return value ? String(value).split(',').map(d => d.trim().toLowerCase()).filter(Boolean) : [];
+}
+
+function unknownDepartmentError(school) {
+    return school.departments.length
+        ? `Department must be one of: ${school.departments.join(', ')}`
+        : `${school.code} has no departments yet`;
+}
+
+function isGradeInRange(school, gradeLevel) {
+    const grade = Number(gradeLevel);
+    return Number.isInteger(grade) && grade >= school.min_grade && grade <= school.max_grade;
+}
+
+function gradeRangeError(school) {
+    return `Grade level must be between ${school.min_grade} and ${school.max_grade} for ${school.code}`;
+}
+
+// District day_schedules / day_types with one school's date overrides applied.
+// schoolParam is the query placeholder holding the school code, e.g. '$1'.
+function schoolDaySchedulesSql(schoolParam) {
+    return `
+        SELECT COALESCE(o.date, d.date) AS date,
+               CASE WHEN o.date IS NULL THEN d.schedule ELSE o.schedule END AS schedule,
+               GREATEST(o.updated_at, d.updated_at) AS updated_at
+        FROM day_schedules d
+        FULL JOIN (SELECT * FROM school_day_schedules WHERE school = ${schoolParam}) o ON o.date = d.date
+    `;
+}
+
+function schoolDayTypesSql(schoolParam) {
+    return `
+        SELECT COALESCE(o.date, d.date) AS date,
+               CASE WHEN o.date IS NULL THEN d.type ELSE o.type END AS type,
+               GREATEST(o.updated_at, d.updated_at) AS updated_at
+        FROM day_types d
+        FULL JOIN (SELECT * FROM school_day_types WHERE school = ${schoolParam}) o ON o.date = d.date
+    `;
 }
 
 // Helper function to format dates consistently
 function formatDate(dateInput) {
     if (!dateInput) return null;
 
-    if (dateInput instanceof Date) {
-        return dateInput.toISOString().split('T')[0];
+    const date = parseDateOnly(dateInput);
+    if (!date) {
+        throw new HttpError(400, 'Invalid date format');
+    }
+
+    return date;
+}
+
+// List endpoint pagination
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+// Cursors are the last row's sort key, base64url-encoded JSON
+function encodeCursor(values) {
+    return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+function decodeCursor(cursor, length) {
+    try {
+        const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return Array.isArray(values) && values.length === length ? values : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Parse the from/to/limit/cursor options shared by the list endpoints. The route's
+// LIST_QUERY schema has already checked each of them on its own.
+function parseListQuery(query, cursorLength) {
+    const options = {
+        from: query.from ? formatDate(query.from) : null,
+        to: query.to ? formatDate(query.to) : null,
+        limit: query.limit ? Number(query.limit) : null,
+        cursor: null
+    };
+
+    if (options.from && options.to && options.from > options.to) {
+        return { error: invalidField(['from', 'to'], 'from must be on or before to', 'query') };
     }
 
-    const date = new Date(dateInput);
-    if (isNaN(date.getTime())) {
-        throw new Error('Invalid date format');
+    if (query.cursor) {
+        options.cursor = decodeCursor(query.cursor, cursorLength);
+        if (!options.cursor) {
+            return { error: invalidField('cursor', 'Invalid cursor', 'query') };
+        }
+        options.limit = options.limit || DEFAULT_PAGE_SIZE;
     }
 
-    return date.toISOString().split('T')[0];
+    return { options };
 }
 
-// Root route - API info
-app.get('/', (req, res) => {
+// Append date bounds to a WHERE clause being built
+function addDateRange(conditions, params, options, column = 'date') {
+    if (options.from) {
+        params.push(options.from);
+        conditions.push(`${column} >= $${params.length}`);
+    }
+    if (options.to) {
+        params.push(options.to);
+        conditions.push(`${column} <= $${params.length}`);
+    }
+}
+
+// Append a keyset condition continuing after the cursor's sort key
+function addCursor(conditions, params, options, keyExpression, keyTypes) {
+    if (!options.cursor) return;
+
+    const placeholders = options.cursor.map((value, index) => {
+        params.push(value);
+        return `$${params.length}::${keyTypes[index]}`;
+    });
+    conditions.push(`(${keyExpression}) > (${placeholders.join(', ')})`);
+}
+
+// Fetch one extra row so we know whether another page exists
+function addLimit(params, options) {
+    if (!options.limit) return '';
+    params.push(options.limit + 1);
+    return ` LIMIT $${params.length}`;
+}
+
+// Plain array when unpaginated, otherwise { items, nextCursor }
+function sendList(res, rows, options, serialize, cursorKey) {
+    if (!options.limit) {
+        return res.json(rows.map(serialize));
+    }
+
+    const page = rows.slice(0, options.limit);
+    const hasMore = rows.length > options.limit;
+
     res.json({
-        name: 'WLWV Life Calendar API',
-        version: '2.4.0',
-        status: 'running',
-        environment: process.env.NODE_ENV || 'development',
-        endpoints: {
-            health: '/api/health',
-            init: 'POST /api/init',
-            daySchedules: '/api/day-schedules',
-            dayTypes: '/api/day-types',
-            events: '/api/events',
-            materials: '/api/materials'
-        },
-        features: [
-            'Password-protected materials',
-            'Multi-school support',
-            'A/B day scheduling',
-            'Event management',
-            'Grade-level materials',
-            'Auto-reconnecting database pool'
-        ]
+        items: page.map(serialize),
+        nextCursor: hasMore ? encodeCursor(cursorKey(page[page.length - 1])) : null
     });
-});
+}
 
-// Serve the main application
-app.get('/app', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
+const SCHOOL_YEAR_COLUMNS = 'id, name, start_date, end_date, archived_at, created_at, updated_at';
 
-// Health check endpoint with pool recovery
-app.get('/api/health', async (req, res) => {
-    try {
-        const activePool = ensurePoolExists();
-        const client = await activePool.connect();
-        const result = await client.query('SELECT NOW() as timestamp, version() as db_version');
-        client.release();
+// Every school year with its terms, oldest first. There are only ever a handful.
+async function loadSchoolYears(db) {
+    const result = await (db || ensurePoolExists()).query(`
+        SELECT ${SCHOOL_YEAR_COLUMNS},
+               COALESCE((
+                   SELECT json_agg(json_build_object('id', t.id, 'name', t.name, 'start_date', t.start_date, 'end_date', t.end_date)
+                                   ORDER BY t.start_date, t.end_date DESC, t.id)
+                   FROM terms t WHERE t.school_year_id = y.id
+               ), '[]') AS terms
+        FROM school_years y
+        ORDER BY start_date
+    `);
+    return result.rows;
+}
 
-        res.json({ 
-            status: 'healthy', 
-            message: 'Database connected',
-            connected: true,
-            timestamp: result.rows[0].timestamp,
-            database: 'PostgreSQL',
-            environment: process.env.NODE_ENV || 'development'
-        });
-    } catch (error) {
-        console.error('Health check failed:', error);
-        res.status(500).json({ 
-            error: 'Database connection failed',
-            connected: false,
-            details: error.message,
-            environment: process.env.NODE_ENV || 'development'
-        });
+// The year containing today; between years the next one to start, and after the
+// last one that one
+function pickCurrentSchoolYear(years, today = todayString()) {
+    return years.find(year => year.start_date <= today && today <= year.end_date)
+        || years.find(year => year.start_date > today)
+        || years[years.length - 1]
+        || null;
+}
+
+// parseListQuery for lists that show the current school year unless asked otherwise:
+// ?school_year=<id> lists that year, ?all_years=true or an explicit from/to lists
+// everything in range. Without any school years nothing is narrowed.
+async function parseYearListQuery(query, cursorLength) {
+    const parsed = parseListQuery(query, cursorLength);
+    const { options } = parsed;
+    const listAll = parseBooleanParam(query.all_years, false);
+
+    if (parsed.error || (!query.school_year && (listAll || options.from || options.to))) {
+        return parsed;
     }
-});
 
-// Initialize database with better pool management
-app.post('/api/init', async (req, res) => {
+    const years = await loadSchoolYears();
+    const year = query.school_year
+        ? years.find(candidate => candidate.id === Number(query.school_year))
+        : pickCurrentSchoolYear(years);
+
+    if (!year) {
+        return query.school_year ? { error: invalidField('school_year', 'Unknown school_year', 'query') } : parsed;
+    }
+
+    options.from = options.from || year.start_date;
+    options.to = options.to || year.end_date;
+
+    if (options.from > options.to) {
+        return { error: invalidField(['from', 'to'], 'from must be on or before to', 'query') };
+    }
+    return parsed;
+}
+
+// Request schemas shared by several routes; see lib/validate.js for the rule format
+const ID_PARAMS = { id: { type: 'integer', required: true, min: 1, max: 2147483647 } };
+const SCHOOL_FILTER = { school: { type: 'string', maxLength: 10 } };
+const REQUIRED_SCHOOL = { school: { type: 'string', required: true, maxLength: 10 } };
+const LIST_QUERY = {
+    from: { type: 'date' },
+    to: { type: 'date' },
+    limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE },
+    cursor: { type: 'string', maxLength: 200 }
+};
+const SCHOOL_YEAR_QUERY = {
+    school_year: { type: 'integer', min: 1, max: 2147483647 },
+    all_years: { type: 'boolean' }
+};
+const AB_LETTER = { type: 'string', values: ['A', 'B'] };
+const NOT_BLANK = { pattern: /\S/, patternMessage: 'cannot be blank' };
+
+// Sort keys used by each list endpoint's cursor
+const EVENT_SORT_KEY = "date, COALESCE(time, '24:00'::time), id";
+const MATERIAL_SORT_KEY = 'date, grade_level, id';
+
+// Recurring events: rules are parsed and expanded by lib/rrule.js
+const EDIT_SCOPES = ['occurrence', 'following', 'series'];
+const RECURRENCE_HORIZON_DAYS = 366;
+
+const EVENT_COLUMNS = 'id, school, date, title, department, time, description, rrule, exdates, ab_day, series_id, recurrence_date, created_at, updated_at';
+
+// Today's date in the district timezone
+function todayString() {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: CALENDAR_TIMEZONE }).format(new Date());
+}
+
+// Validate recurrence fields from a request body; undefined means "not provided"
+function parseRecurrenceInput(body) {
+    const input = {};
+
+    if (body.rrule !== undefined) {
+        if (body.rrule === null || body.rrule === '') {
+            input.rrule = null;
+        } else {
+            const { rule, error } = parseRRule(body.rrule);
+            if (error) return { error: invalidField('rrule', error) };
+            input.rrule = formatRRule(rule);
+        }
+    }
+
+    if (body.exdates !== undefined) {
+        if (body.exdates !== null && !Array.isArray(body.exdates)) {
+            return { error: invalidField('exdates', 'exdates must be an array of dates') };
+        }
+        try {
+            input.exdates = [...new Set((body.exdates || []).map(formatDate))].sort();
+        } catch (error) {
+            return { error: invalidField('exdates', 'exdates must be an array of dates') };
+        }
+    }
+
+    if (body.ab_day !== undefined) {
+        if (body.ab_day !== null && body.ab_day !== '' && !['A', 'B'].includes(body.ab_day)) {
+            return { error: invalidField('ab_day', 'ab_day must be A or B') };
+        }
+        input.ab_day = body.ab_day || null;
+    }
+
+    return { input };
+}
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+// Body fields an event may carry; POST and PUT add which are required
+const EVENT_FIELDS = {
+    title: { type: 'string', maxLength: 255 },
+    department: { type: 'string', maxLength: 50, nullable: true },
+    time: { type: 'time', nullable: true },
+    description: { type: 'string', nullable: true },
+    rrule: { type: 'string', maxLength: 500, nullable: true },
+    exdates: { type: 'array', max: MAX_OCCURRENCES, items: { type: 'date' }, nullable: true },
+    ab_day: { ...AB_LETTER, nullable: true }
+};
+const EDIT_SCOPE_FIELDS = {
+    scope: { type: 'string', values: EDIT_SCOPES },
+    occurrence_date: { type: 'date' }
+};
+
+// Validate a new event; shared by POST /api/events and CSV imports
+function validateEventInput(body, schools) {
+    const { school, date, title, department, time, description } = body;
+
+    const missing = missingFields(body, ['school', 'date', 'title']);
+    if (missing.length) {
+        return { error: invalidField(missing, 'School, date, and title are required') };
+    }
+
+    if (!schools.has(school)) {
+        return { error: invalidField('school', unknownSchoolError(schools)) };
+    }
+
+    if (title.length > 255) {
+        return { error: invalidField('title', 'Title must be at most 255 characters') };
+    }
+
+    const departmentName = department ? findDepartment(schools.get(school), department) : null;
+
+    if (department && !departmentName) {
+        return { error: invalidField('department', unknownDepartmentError(schools.get(school))) };
+    }
+
+    let formattedDate;
     try {
-        const dbUrl = process.env.DATABASE_URL || req.body.dbUrl;
+        formattedDate = formatDate(date);
+    } catch (error) {
+        return { error: invalidField('date', 'date must be a valid date') };
+    }
 
-        if (!dbUrl) {
-            return res.status(400).json({ 
-                error: 'Database URL is required. Set DATABASE_URL environment variable or provide in request.',
-                hasEnvVar: !!process.env.DATABASE_URL
-            });
+    if (time && !TIME_PATTERN.test(time)) {
+        return { error: invalidField('time', 'time must be HH:MM') };
+    }
+
+    const { error, input: recurrence } = parseRecurrenceInput(body);
+
+    if (error) {
+        return { error };
+    }
+
+    if (recurrence.ab_day && !recurrence.rrule) {
+        return { error: invalidField(['ab_day', 'rrule'], 'ab_day requires an rrule') };
+    }
+
+    return {
+        values: {
+            school,
+            date: formattedDate,
+            title,
+            department: departmentName,
+            time: time || null,
+            description: description || '',
+            rrule: recurrence.rrule || null,
+            exdates: recurrence.exdates || [],
+            ab_day: recurrence.ab_day || null
         }
+    };
+}
 
-        console.log('Initializing database connection...');
-        
-        // Create new pool only if needed
-        if (!pool) {
-            pool = initializePool(dbUrl);
-        } else if (pool.ended) {
-            pool = initializePool(dbUrl);
+function serializeEvent(row) {
+    return {
+        ...row,
+        date: formatDate(row.date),
+        exdates: (row.exdates || []).map(formatDate),
+        recurrence_date: formatDate(row.recurrence_date)
+    };
+}
+
+// Sort key matching EVENT_SORT_KEY for already-serialized events
+function eventSortKey(event) {
+    return [event.date, event.time || '24:00:00', event.id];
+}
+
+function compareSortKeys(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] < b[i]) return -1;
+        if (a[i] > b[i]) return 1;
+    }
+    return 0;
+}
+
+// Expand recurring series rows into occurrences within [from, to], ignoring ab_day
+function expandSeries(rows, { from, to }) {
+    const occurrences = [];
+
+    for (const row of rows) {
+        const { rule } = parseRRule(row.rrule);
+        if (!rule) continue;
+
+        const event = serializeEvent(row);
+        for (const date of expandRRule(rule, event.date, { from, to, exdates: event.exdates })) {
+            occurrences.push({ ...event, date, occurrence_date: date });
         }
+    }
 
-        // Test connection
-        const client = await pool.connect();
-        console.log('Database connection successful!');
+    return occurrences;
+}
 
-        // Create tables
-        console.log('Creating/updating database schema...');
+// Expand recurring series rows into occurrences within [from, to], honouring ab_day
+// against each event's school calendar
+async function expandEventSeries(client, rows, { from, to }) {
+    const occurrences = expandSeries(rows, { from, to });
 
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS day_schedules (
-                date DATE PRIMARY KEY,
-                schedule VARCHAR(1) NOT NULL CHECK (schedule IN ('A', 'B')),
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
+    const needsLetters = occurrences.filter(occurrence => occurrence.ab_day);
+    if (needsLetters.length === 0) return occurrences;
 
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS day_types (
-                date DATE PRIMARY KEY,
-                type VARCHAR(50) NOT NULL,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
+    const dates = needsLetters.map(occurrence => occurrence.date).sort();
+    const letters = new Map();
 
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS events (
-                id SERIAL PRIMARY KEY,
-                school VARCHAR(10) NOT NULL CHECK (school IN ('wlhs', 'wvhs')),
-                date DATE NOT NULL,
-                title VARCHAR(255) NOT NULL,
-                department VARCHAR(50),
-                time TIME,
-                description TEXT,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
+    for (const school of new Set(needsLetters.map(occurrence => occurrence.school))) {
+        const result = await client.query(
+            `SELECT date, schedule FROM (${schoolDaySchedulesSql('$1')}) s WHERE date BETWEEN $2 AND $3`,
+            [school, dates[0], dates[dates.length - 1]]
+        );
+        result.rows.forEach(row => letters.set(`${school}|${formatDate(row.date)}`, row.schedule));
+    }
 
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS materials (
-                id SERIAL PRIMARY KEY,
-                school VARCHAR(10) NOT NULL CHECK (school IN ('wlhs', 'wvhs')),
-                date DATE NOT NULL,
-                grade_level INTEGER NOT NULL CHECK (grade_level BETWEEN 9 AND 12),
-                title VARCHAR(255) NOT NULL,
-                link TEXT NOT NULL,
-                description TEXT DEFAULT '',
-                password TEXT DEFAULT '',
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
+    return occurrences.filter(occurrence =>
+        !occurrence.ab_day || letters.get(`${occurrence.school}|${occurrence.date}`) === occurrence.ab_day
+    );
+}
 
-        // Create indexes
-        await client.query(`CREATE INDEX IF NOT EXISTS idx_events_school_date ON events(school, date)`);
-        await client.query(`CREATE INDEX IF NOT EXISTS idx_materials_school_date_grade ON materials(school, date, grade_level)`);
-        await client.query(`CREATE INDEX IF NOT EXISTS idx_events_date ON events(date)`);
-        await client.query(`CREATE INDEX IF NOT EXISTS idx_materials_date ON materials(date)`);
-        await client.query(`CREATE INDEX IF NOT EXISTS idx_day_schedules_date ON day_schedules(date)`);
-        await client.query(`CREATE INDEX IF NOT EXISTS idx_day_types_date ON day_types(date)`);
+// Is `date` a (non-excluded) occurrence of a series row?
+function isOccurrence(row, date) {
+    const { rule } = parseRRule(row.rrule);
+    const event = serializeEvent(row);
+    return !!rule && expandRRule(rule, event.date, { from: date, to: date, exdates: event.exdates }).length === 1;
+}
 
-        console.log('Database schema initialized successfully!');
-        client.release();
+// Rewrite a rule so it stops the day before `date`
+function truncateRule(row, date) {
+    const { rule } = parseRRule(row.rrule);
+    return formatRRule({ ...rule, count: null, until: addDays(date, -1) });
+}
 
-        res.json({ 
-            message: 'Database initialized successfully',
-            tables: ['day_schedules', 'day_types', 'events', 'materials'],
-            features: ['password-protected materials', 'multi-school support', 'performance indexes'],
-            environment: process.env.NODE_ENV || 'development',
-            timestamp: new Date().toISOString()
-        });
+// A/B rotation generation
+const MAX_ROTATION_DAYS = 400;
+
+// Work out the A/B letter for every date in [start, end] and diff it against what's stored
+async function planRotation(client, { start, end, letter }) {
+    // Dates whose day type is defined as not counting in the rotation are skipped
+    const types = await client.query(`
+        SELECT t.date, d.counts_in_rotation
+        FROM day_types t
+        JOIN day_type_definitions d ON d.key = t.type
+        WHERE t.date BETWEEN $1 AND $2
+    `, [start, end]);
+    const schedules = await client.query('SELECT date, schedule FROM day_schedules WHERE date BETWEEN $1 AND $2', [start, end]);
+
+    const skipped = new Set(types.rows.filter(row => !row.counts_in_rotation).map(row => formatDate(row.date)));
+    const letterByDate = new Map(schedules.rows.map(row => [formatDate(row.date), row.schedule]));
+    const changes = [];
+    let current = letter;
+    let schoolDays = 0;
+
+    for (let date = start; date <= end; date = addDays(date, 1)) {
+        const weekday = weekdayOf(date);
+        const inSession = weekday !== 0 && weekday !== 6 && !skipped.has(date);
+        const next = inSession ? current : null;
+        const existing = letterByDate.get(date) || null;
+
+        if (inSession) {
+            schoolDays++;
+            current = current === 'A' ? 'B' : 'A';
+        }
+
+        if (existing !== next) {
+            changes.push({ date, from: existing, to: next });
+        }
+    }
+
+    return {
+        changes,
+        school_days: schoolDays,
+        summary: {
+            added: changes.filter(change => !change.from).length,
+            changed: changes.filter(change => change.from && change.to).length,
+            removed: changes.filter(change => !change.to).length
+        }
+    };
+}
+
+// Write a planned rotation; call inside a transaction
+async function applyRotation(client, changes) {
+    const upserts = changes.filter(change => change.to);
+    const removals = changes.filter(change => !change.to).map(change => change.date);
+
+    if (upserts.length) {
+        await client.query(`
+            INSERT INTO day_schedules (date, schedule, updated_at)
+            SELECT date, schedule, CURRENT_TIMESTAMP
+            FROM unnest($1::date[], $2::varchar[]) AS t(date, schedule)
+            ON CONFLICT (date)
+            DO UPDATE SET schedule = EXCLUDED.schedule, updated_at = CURRENT_TIMESTAMP
+        `, [upserts.map(change => change.date), upserts.map(change => change.to)]);
+    }
+    if (removals.length) {
+        await client.query('DELETE FROM day_schedules WHERE date = ANY($1::date[])', [removals]);
+    }
+}
+
+// Day type catalog
+const DAY_TYPE_KEY_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const DAY_TYPE_DEFINITION_COLUMNS = 'key, label, color, in_session, counts_in_rotation, created_at, updated_at';
+
+// Definition fields from a body checked against DAY_TYPE_DEFINITION_FIELDS; omitted fields are left out
+function parseDayTypeDefinition(body) {
+    const definition = {};
+
+    if (body.label !== undefined) definition.label = body.label.trim();
+    if (body.color !== undefined) definition.color = body.color || null;
+
+    for (const flag of ['in_session', 'counts_in_rotation']) {
+        if (body[flag] !== undefined) definition[flag] = parseBooleanParam(body[flag]);
+    }
+
+    return definition;
+}
+
+function serializeDayTypeDefinition(row) {
+    const { key, label, color, in_session, counts_in_rotation } = row;
+    return { key, label, color, in_session, counts_in_rotation };
+}
+
+// Bell schedules
+const BELL_SCHEDULE_COLUMNS = 'id, school, name, day_type, periods, created_at, updated_at';
+
+function minutesOf(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function formatMinutes(total) {
+    return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+// Validate a periods array of objects; times are normalized to HH:MM and periods sorted by start
+function parsePeriods(periods) {
+    const parsed = [];
+
+    for (const [index, period] of periods.entries()) {
+        const label = `periods[${index}]`;
+
+        if (typeof period.name !== 'string' || !period.name.trim() || period.name.length > 50) {
+            return { error: invalidField(`${label}.name`, `${label}.name is required and must be at most 50 characters`) };
+        }
+
+        if (!TIME_PATTERN.test(period.start || '') || !TIME_PATTERN.test(period.end || '')) {
+            return { error: invalidField([`${label}.start`, `${label}.end`], `${label}.start and end must be HH:MM`) };
+        }
+
+        if (period.ab_day != null && period.ab_day !== '' && !['A', 'B'].includes(period.ab_day)) {
+            return { error: invalidField(`${label}.ab_day`, `${label}.ab_day must be A or B`) };
+        }
+
+        const start = minutesOf(period.start);
+        const end = minutesOf(period.end);
+
+        if (start >= end) {
+            return { error: invalidField(`${label}.end`, `${label} must end after it starts`) };
+        }
+
+        parsed.push({
+            name: period.name.trim(),
+            start: formatMinutes(start),
+            end: formatMinutes(end),
+            ab_day: period.ab_day || null
+        });
+    }
+
+    parsed.sort((a, b) => a.start.localeCompare(b.start));
+
+    // Periods that can meet on the same day must not overlap
+    for (const [index, period] of parsed.entries()) {
+        const clash = parsed.slice(index + 1).find(other =>
+            (!period.ab_day || !other.ab_day || period.ab_day === other.ab_day) &&
+            minutesOf(other.start) < minutesOf(period.end)
+        );
+        if (clash) {
+            return { error: invalidField('periods', `${period.name} overlaps ${clash.name}`) };
+        }
+    }
+
+    return { periods: parsed };
+}
+
+// Calendar date and minutes past midnight in the district's timezone
+function zonedNow(instant) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+        timeZone: CALENDAR_TIMEZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(instant).map(part => [part.type, part.value]));
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+}
+
+// Letter, day type and bell schedule for one school day. A day type that is not in
+// session has no schedule; otherwise its own schedule wins over the regular one.
+async function loadBellDay(client, school, date) {
+    const result = await client.query(`
+        WITH letter AS (
+            SELECT schedule FROM (${schoolDaySchedulesSql('$1')}) s WHERE date = $2
+        ), day_type AS (
+            SELECT type FROM (${schoolDayTypesSql('$1')}) t WHERE date = $2
+        )
+        SELECT
+            (SELECT schedule FROM letter) AS letter,
+            (SELECT to_jsonb(d) FROM day_type_definitions d WHERE d.key = (SELECT type FROM day_type)) AS day_type,
+            (SELECT to_jsonb(b) FROM bell_schedules b
+             WHERE b.school = $1 AND (b.day_type IS NULL OR b.day_type = (SELECT type FROM day_type))
+             ORDER BY b.day_type IS NULL
+             LIMIT 1) AS bell_schedule
+    `, [school, date]);
+
+    const { letter, day_type: dayType, bell_schedule: schedule } = result.rows[0];
+    const weekday = weekdayOf(date);
+    const inSession = dayType ? dayType.in_session : weekday !== 0 && weekday !== 6;
+
+    return {
+        school,
+        date,
+        letter,
+        day_type: dayType && serializeDayTypeDefinition(dayType),
+        in_session: inSession,
+        bell_schedule: inSession && schedule ? {
+            id: schedule.id,
+            name: schedule.name,
+            day_type: schedule.day_type,
+            periods: schedule.periods.filter(period => !period.ab_day || !letter || period.ab_day === letter)
+        } : null
+    };
+}
+
+// Tables recorded by the audit trigger, with the column identifying a row
+const AUDITED_TABLES = {
+    day_schedules: 'date',
+    day_types: 'date',
+    events: 'id',
+    materials: 'id'
+};
+
+// Password hashes stay in the log so undo can restore them, but are never returned
+function redactAuditData(data) {
+    if (!data) return data;
+    const { password_hash, ...rest } = data;
+    return password_hash ? { ...rest, password_hash: '[redacted]' } : rest;
+}
+
+function serializeAuditEntry(row) {
+    return {
+        ...row,
+        id: Number(row.id),
+        undo_of: row.undo_of ? Number(row.undo_of) : null,
+        date: formatDate(row.date),
+        before_data: redactAuditData(row.before_data),
+        after_data: redactAuditData(row.after_data)
+    };
+}
+
+// Does the current row still match an audit snapshot? Timestamps and columns added
+// or dropped since the snapshot was taken are ignored
+function sameAuditRow(current, snapshot) {
+    if (!current || !snapshot) return current === snapshot;
+
+    return Object.keys(snapshot)
+        .filter(key => key !== 'updated_at' && key !== 'created_at' && key in current)
+        .every(key => JSON.stringify(current[key]) === JSON.stringify(snapshot[key]));
+}
+
+// Columns a table has now, in order. Audit snapshots and archives taken before a
+// migration can name columns that have since been dropped, such as materials.password.
+async function tableColumns(client, table) {
+    const result = await client.query(`
+        SELECT column_name FROM information_schema.columns
+        WHERE table_schema = current_schema() AND table_name = $1
+        ORDER BY ordinal_position
+    `, [table]);
+    return new Set(result.rows.map(row => row.column_name));
+}
+
+// Report an undone change to an audited row, given the row (as jsonb) before and
+// after the undo. Events and materials in the trash count as gone.
+async function emitAuditedRowChange(client, req, table, before, after) {
+    if (table === 'day_schedules' || table === 'day_types') {
+        const column = table === 'day_schedules' ? 'schedule' : 'type';
+        const from = before ? before[column] : null;
+        const to = after ? after[column] : null;
+
+        if (from !== to) {
+            await emitChange(client, req, table === 'day_schedules' ? 'day_schedule.changed' : 'day_type.changed', {
+                data: { changes: [{ date: (after || before).date, from, to }] }
+            });
+        }
+        return;
+    }
+
+    const noun = table === 'events' ? 'event' : 'material';
+    const was = before && !before.deleted_at ? before : null;
+    const now = after && !after.deleted_at ? after : null;
+
+    if (!now) {
+        if (was) {
+            await emitChange(client, req, `${noun}.deleted`, {
+                school: was.school,
+                data: table === 'events' ? { id: was.id, scope: 'series', occurrence_date: null } : { id: was.id }
+            });
+        }
+        return;
+    }
+
+    const result = await client.query(
+        `SELECT ${table === 'events' ? EVENT_COLUMNS : MATERIAL_COLUMNS} FROM ${table} WHERE id = $1`,
+        [now.id]
+    );
+    const row = result.rows[0];
+    await emitChange(client, req, `${noun}.${was ? 'updated' : 'created'}`, {
+        school: row.school,
+        data: table === 'events' ? serializeEvent(row) : serializeMaterial(row)
+    });
+}
+
+// Soft-deleted events and materials are kept this long before being purged
+const TRASH_RETENTION_DAYS = 30;
+const TRASH_TABLES = ['events', 'materials'];
+
+// Tables covered by resets, snapshots and archives, parents first. day_schedules
+// and day_types are district-wide; the rest belong to one school.
+const CALENDAR_TABLES = [
+    'schools', 'day_schedules', 'day_types', 'school_day_schedules', 'school_day_types', 'events', 'materials'
+];
+const SCHOOL_TABLES = ['schools', 'school_day_schedules', 'school_day_types', 'events', 'materials'];
+// Columns identifying an archived row
+const ARCHIVE_KEYS = {
+    schools: ['code'],
+    day_schedules: ['date'],
+    day_types: ['date'],
+    school_day_schedules: ['school', 'date'],
+    school_day_types: ['school', 'date'],
+    events: ['id'],
+    materials: ['id']
+};
+const RESET_CONFIRMATION_TTL_MS = 10 * 60 * 1000;
+
+async function purgeExpiredTrash(client) {
+    for (const table of TRASH_TABLES) {
+        await client.query(
+            `DELETE FROM ${table} WHERE deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)`,
+            [TRASH_RETENTION_DAYS]
+        );
+    }
+}
+
+// Parse { school, from, to, tables } selecting a slice of the calendar data. location
+// names where source came from for error details; an archive's scope is not schema-checked.
+function parseDataScope(source, schools, location = 'body') {
+    const scope = { school: source.school || null, from: null, to: null, tables: null };
+
+    if (scope.school && !schools.has(scope.school)) {
+        return { error: invalidField('school', unknownSchoolError(schools), location) };
+    }
+
+    try {
+        if (source.from) scope.from = formatDate(source.from);
+        if (source.to) scope.to = formatDate(source.to);
+    } catch (error) {
+        return { error: invalidField(['from', 'to'], 'from and to must be valid dates', location) };
+    }
+
+    if (scope.from && scope.to && scope.from > scope.to) {
+        return { error: invalidField(['from', 'to'], 'from must be on or before to', location) };
+    }
+
+    let tables = source.tables;
+    if (typeof tables === 'string') tables = tables.split(',').map(table => table.trim()).filter(Boolean);
+    if (tables && (!Array.isArray(tables) || tables.some(table => !CALENDAR_TABLES.includes(table)))) {
+        return { error: invalidField('tables', `tables must be a list of ${CALENDAR_TABLES.join(', ')}`, location) };
+    }
+
+    scope.tables = tables && tables.length
+        ? CALENDAR_TABLES.filter(table => tables.includes(table))
+        : (scope.school ? SCHOOL_TABLES : CALENDAR_TABLES);
+
+    if (scope.school && scope.tables.some(table => !SCHOOL_TABLES.includes(table))) {
+        return {
+            error: invalidField(['school', 'tables'], 'day_schedules and day_types are district-wide and cannot be scoped to one school', location)
+        };
+    }
+
+    return { scope };
+}
+
+// Tables in scope that resets and replacing imports delete from, parents first.
+// Schools are only ever upserted, since deleting one would take its bell schedules,
+// departments and accounts with it.
+function clearedTables(scope) {
+    return scope.tables.filter(table => table !== 'schools');
+}
+
+// Query or body fields read by parseDataScope; tables may be a list or comma-separated
+const DATA_SCOPE_FIELDS = {
+    ...SCHOOL_FILTER,
+    from: { type: 'date' },
+    to: { type: 'date' }
+};
+
+// WHERE clause restricting a table to a data scope
+function scopeWhere(table, scope, params) {
+    const conditions = [];
+    if (scope.school && SCHOOL_TABLES.includes(table)) {
+        params.push(scope.school);
+        conditions.push(`${table === 'schools' ? 'code' : 'school'} = $${params.length}`);
+    }
+    if (table !== 'schools') addDateRange(conditions, params, scope);
+    return conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '';
+}
+
+// Every row in scope, as Postgres renders it to JSON, keyed by table
+async function buildArchive(client, scope) {
+    const tables = {};
+
+    for (const table of scope.tables) {
+        const params = [];
+        const order = ARCHIVE_KEYS[table].map(key => `t.${key}`).join(', ');
+        const result = await client.query(
+            `SELECT COALESCE(jsonb_agg(to_jsonb(t) ORDER BY ${order}), '[]'::jsonb) AS rows FROM ${table} t${scopeWhere(table, scope, params)}`,
+            params
+        );
+        tables[table] = result.rows[0].rows;
+    }
+
+    return tables;
+}
+
+// Stable string form of a scope, for matching confirmation tokens
+function scopeSignature(scope) {
+    return JSON.stringify([scope.school || null, scope.from || null, scope.to || null, [...scope.tables].sort()]);
+}
+
+// Archive format shared by export and import. Version 2 added schools and their
+// day overrides; version 1 archives still import.
+const ARCHIVE_FORMAT = 'wlwv-calendar-archive';
+const ARCHIVE_VERSION = 2;
+const IMPORT_MODES = ['merge', 'replace'];
+const IMPORT_OPTIONS = {
+    mode: { type: 'string', values: IMPORT_MODES },
+    dry_run: { type: 'boolean' }
+};
+
+// Why an archived row cannot be imported, or null if it can
+function archiveRowError(table, row, schools) {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+        return 'Row must be an object';
+    }
+
+    if (table === 'schools') {
+        if (typeof row.code !== 'string' || row.code.length > 10 || !SCHOOL_CODE_PATTERN.test(row.code)) {
+            return 'code must be lowercase letters and digits, e.g. wlhs';
+        }
+        const { error } = parseSchoolInput(row);
+        return error ? error.message : null;
+    }
+
+    try {
+        if (!formatDate(row.date)) return 'date is required';
+    } catch (error) {
+        return 'date must be a valid date';
+    }
+
+    if (table === 'day_schedules') {
+        return ['A', 'B'].includes(row.schedule) ? null : 'schedule must be A or B';
+    }
+
+    if (table === 'day_types') {
+        return typeof row.type === 'string' && row.type.trim() && row.type.length <= 50
+            ? null
+            : 'type is required and must be at most 50 characters';
+    }
+
+    if (table === 'school_day_schedules' || table === 'school_day_types') {
+        if (!schools.has(row.school)) return unknownSchoolError(schools);
+        if (table === 'school_day_schedules') {
+            return row.schedule == null || ['A', 'B'].includes(row.schedule) ? null : 'schedule must be A, B or null';
+        }
+        return row.type == null || (typeof row.type === 'string' && row.type.length <= 50)
+            ? null
+            : 'type must be at most 50 characters or null';
+    }
+
+    if (!Number.isInteger(row.id) || row.id < 1) return 'id must be a positive integer';
+    if (!schools.has(row.school)) return unknownSchoolError(schools);
+    if (typeof row.title !== 'string' || !row.title.trim()) return 'title is required';
+
+    if (table === 'events') {
+        const { error } = parseRecurrenceInput(row);
+        if (error) return error.message;
+        if (row.series_id != null && !Number.isInteger(row.series_id)) return 'series_id must be an integer';
+        return null;
+    }
+
+    if (!isGradeInRange(schools.get(row.school), row.grade_level)) return gradeRangeError(schools.get(row.school));
+    if ((typeof row.link !== 'string' || !row.link) && !row.file_key) return 'link or file_key is required';
+    return null;
+}
+
+// Insert archived rows, overwriting existing rows with the same key
+async function importArchiveTable(client, table, rows) {
+    const counts = { inserted: 0, updated: 0 };
+    if (rows.length === 0) return counts;
+
+    const keys = ARCHIVE_KEYS[table];
+    const existing = [...await tableColumns(client, table)];
+
+    // Rows are written in groups sharing the same fields, so fields missing
+    // from a row (e.g. from an older archive) keep their column defaults.
+    // Series rows go before their edited occurrences.
+    const groups = new Map();
+    const ordered = [...rows].sort((a, b) => (a.series_id != null) - (b.series_id != null));
+    for (const row of ordered) {
+        const columns = existing.filter(column => column in row);
+        const signature = columns.join(',');
+        if (!groups.has(signature)) groups.set(signature, { columns, rows: [] });
+        groups.get(signature).rows.push(row);
+    }
+
+    for (const { columns, rows: groupRows } of groups.values()) {
+        const updates = columns.filter(column => !keys.includes(column)).map(column => `${column} = EXCLUDED.${column}`);
+        const result = await client.query(`
+            INSERT INTO ${table} (${columns.join(', ')})
+            SELECT ${columns.join(', ')} FROM jsonb_populate_recordset(NULL::${table}, $1)
+            ON CONFLICT (${keys.join(', ')}) DO ${updates.length ? `UPDATE SET ${updates.join(', ')}` : 'NOTHING'}
+            RETURNING (xmax = 0) AS inserted
+        `, [JSON.stringify(groupRows)]);
+
+        const inserted = result.rows.filter(row => row.inserted).length;
+        counts.inserted += inserted;
+        counts.updated += result.rows.length - inserted;
+    }
+
+    if (keys[0] === 'id') {
+        // Keep the serial ahead of imported ids
+        await client.query(
+            `SELECT setval(pg_get_serial_sequence('${table}', 'id'), COALESCE((SELECT MAX(id) FROM ${table}), 0) + 1, false)`
+        );
+    }
+
+    return counts;
+}
+
+// Query flags such as ?ab_days=false
+function parseBooleanParam(value, defaultValue) {
+    if (value === undefined || value === '') return defaultValue;
+    return !['false', '0', 'no', 'off'].includes(String(value).toLowerCase());
+}
+
+// Admin session settings
+const SESSION_COOKIE = 'wlwv_session';
+const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Write routes (relative to /api) that anyone may call
+const PUBLIC_WRITE_ROUTES = [
+    /^\/auth\/login$/,
+    /^\/auth\/logout$/,
+    /^\/materials\/[^/]+\/unlock$/
+];
+
+// Account roles, broadest first
+const ADMIN_ROLES = ['district_admin', 'school_admin', 'department_editor'];
+
+// Writes open to school admins and department editors. These routes check the
+// school and department of each record; everything else is for district admins.
+const SCOPED_WRITE_ROUTES = [
+    /^\/auth\/password$/,
+    /^\/events(\/[^/]+)?$/,
+    /^\/materials(\/[^/]+)?$/,
+    /^\/schools\/[^/]+\/overrides\/[^/]+$/,
+    /^\/bell-schedules(\/[^/]+)?$/,
+    /^\/departments(\/[^/]+)?$/
+];
+
+// Failed material unlocks allowed per IP and material before throttling
+const MAX_UNLOCK_ATTEMPTS = 5;
+const UNLOCK_WINDOW_MS = 15 * 60 * 1000;
+
+// Used when a username doesn't exist so failed logins take the same time
+const DUMMY_PASSWORD_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(128)}`;
+
+// Constant-time string comparison
+function safeEqual(a, b) {
+    const left = crypto.createHash('sha256').update(String(a)).digest();
+    const right = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(left, right);
+}
+
+// Session tokens are only ever stored as SHA-256 digests
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    if (!header) return cookies;
+
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=');
+        if (index === -1) continue;
+        const name = part.slice(0, index).trim();
+        const value = part.slice(index + 1).trim();
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch (error) {
+            cookies[name] = value;
+        }
+    }
+    return cookies;
+}
+
+// The frontend lives on another origin, so production cookies must be SameSite=None
+function sessionCookieOptions() {
+    const production = process.env.NODE_ENV === 'production';
+    return {
+        httpOnly: true,
+        secure: production,
+        sameSite: production ? 'none' : 'lax',
+        path: '/'
+    };
+}
+
+// Session token from "Authorization: Bearer" or the session cookie
+function getSessionToken(req) {
+    const auth = req.get('authorization');
+    if (auth && auth.startsWith('Bearer ')) {
+        return auth.slice(7).trim();
+    }
+    return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+// Attach req.admin when the request carries a valid session
+async function loadSession(req, res, next) {
+    req.admin = null;
+    const token = getSessionToken(req);
+    if (!token) return next();
+
+    try {
+        const activePool = ensurePoolExists();
+        const client = await activePool.connect();
+        try {
+            const result = await client.query(`
+                SELECT a.id, a.username, a.role, a.school, a.department
+                FROM admin_sessions s
+                JOIN admins a ON a.id = s.admin_id
+                WHERE s.token_hash = $1 AND s.expires_at > CURRENT_TIMESTAMP
+            `, [hashToken(token)]);
+            req.admin = result.rows[0] || null;
+        } finally {
+            client.release();
+        }
+    } catch (error) {
+        logError('Error loading session', error, req.log);
+    }
+    next();
+}
+
+// True once at least one admin account exists
+async function hasAdmins() {
+    const activePool = ensurePoolExists();
+    const client = await activePool.connect();
+    try {
+        const result = await client.query('SELECT EXISTS (SELECT 1 FROM admins) AS present');
+        return result.rows[0].present;
+    } catch (error) {
+        // 42P01 = undefined_table, i.e. /api/init has never run
+        if (error.code === '42P01') return false;
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// Create the admin named by ADMIN_USERNAME/ADMIN_PASSWORD if it doesn't exist yet
+async function seedAdminFromEnv(activePool) {
+    if (!process.env.ADMIN_USERNAME || !process.env.ADMIN_PASSWORD) return;
+
+    await activePool.query(`
+        INSERT INTO admins (username, password_hash)
+        VALUES ($1, $2)
+        ON CONFLICT (username) DO NOTHING
+    `, [process.env.ADMIN_USERNAME, await hashPassword(process.env.ADMIN_PASSWORD)]);
+}
+
+function requireAdmin(req, res, next) {
+    if (!req.admin) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+    next();
+}
+
+function isDistrictAdmin(admin) {
+    return !!admin && admin.role === 'district_admin';
+}
+
+function requireDistrictAdmin(req, res, next) {
+    if (!req.admin) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!isDistrictAdmin(req.admin)) {
+        return res.status(403).json({ error: 'District admin access required' });
+    }
+    next();
+}
+
+// Why an account may not change a school's materials, bell schedules or overrides,
+// or null if it may
+function schoolPermissionError(admin, school) {
+    if (isDistrictAdmin(admin) || (admin.role === 'school_admin' && admin.school === school)) {
+        return null;
+    }
+    return `Only district admins and ${school} school admins can change this`;
+}
+
+// Why an account may not write an event with this school and department, or null if it may
+function eventPermissionError(admin, { school, department }) {
+    if (admin.role !== 'department_editor') {
+        return schoolPermissionError(admin, school);
+    }
+    if (admin.school !== school || !department || department.toLowerCase() !== admin.department.toLowerCase()) {
+        return `Department editors can only change ${admin.school} ${admin.department} events`;
+    }
+    return null;
+}
+
+// Department editors' events default to their own department
+function defaultDepartment(admin, department) {
+    return department || (admin.role === 'department_editor' ? admin.department : null);
+}
+
+// Reject anonymous writes; reads stay public
+async function requireAdminForWrites(req, res, next) {
+    if (SAFE_METHODS.includes(req.method) || PUBLIC_WRITE_ROUTES.some(route => route.test(req.path))) {
+        return next();
+    }
+
+    // Allow the very first /api/init so a fresh database can be bootstrapped. Only the
+    // configured DATABASE_URL can be set up this way, never a URL from the request.
+    if (req.path === '/init' && !req.admin && process.env.DATABASE_URL) {
+        try {
+            if (!(await hasAdmins())) return next();
+        } catch (error) {
+            return sendError(res, error, 'Error checking for admins');
+        }
+    }
+
+    requireAdmin(req, res, next);
+}
+
+// Keep school admins and department editors to the routes that check their scope
+function restrictScopedWrites(req, res, next) {
+    if (!req.admin || isDistrictAdmin(req.admin) || SAFE_METHODS.includes(req.method)
+        || PUBLIC_WRITE_ROUTES.some(route => route.test(req.path))
+        || SCOPED_WRITE_ROUTES.some(route => route.test(req.path))) {
+        return next();
+    }
+
+    res.status(403).json({ error: 'District admin access required' });
+}
+
+// Seconds until another unlock attempt is allowed, or 0. Attempts are stored in
+// unlock_attempts so every instance sees the same count.
+async function unlockRetryAfter(db, ip, materialId) {
+    const result = await db.query(`
+        SELECT CEIL(EXTRACT(EPOCH FROM reset_at - CURRENT_TIMESTAMP))::int AS retry_after
+        FROM unlock_attempts
+        WHERE ip = $1 AND material_id = $2 AND attempts >= $3 AND reset_at > CURRENT_TIMESTAMP
+    `, [ip, materialId, MAX_UNLOCK_ATTEMPTS]);
+    return result.rows.length ? result.rows[0].retry_after : 0;
+}
+
+// Count a failed attempt; once a window has run out the count starts over
+async function recordFailedUnlock(db, ip, materialId) {
+    await db.query('DELETE FROM unlock_attempts WHERE reset_at <= CURRENT_TIMESTAMP');
+    await db.query(`
+        INSERT INTO unlock_attempts (ip, material_id, attempts, reset_at)
+        VALUES ($1, $2, 1, CURRENT_TIMESTAMP + make_interval(secs => $3))
+        ON CONFLICT (ip, material_id) DO UPDATE SET attempts = unlock_attempts.attempts + 1
+    `, [ip, materialId, UNLOCK_WINDOW_MS / 1000]);
+}
+
+// Never expose password data; protected links are only returned to admins or via unlock
+function serializeMaterial(row, includeLink = false) {
+    const { password_hash, file_key, file_name, file_type, file_size, ...material } = row;
+    const isProtected = !!password_hash;
+
+    const result = {
+        ...material,
+        date: formatDate(row.date),
+        protected: isProtected,
+        file: file_key
+            ? { name: file_name, type: file_type, size: file_size, url: `/api/materials/${row.id}/file` }
+            : null
+    };
+
+    if (isProtected && !includeLink) {
+        delete result.link;
+        if (result.file) delete result.file.url;
+    }
+    return result;
+}
+
+// Columns serializeMaterial expects
+const MATERIAL_COLUMNS = 'id, school, date, grade_level, title, link, description, password_hash, '
+    + 'file_key, file_name, file_type, file_size, carry_forward, created_at, updated_at';
+
+// Uploaded material files. The type comes from the extension, never the client's
+// Content-Type, and is what the file is served back as.
+const MATERIAL_FILE_TYPES = {
+    '.pdf': 'application/pdf',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.txt': 'text/plain',
+    '.doc': 'application/msword',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.xls': 'application/vnd.ms-excel',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    '.ppt': 'application/vnd.ms-powerpoint',
+    '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+// Opened in the browser; other types are downloaded
+const INLINE_FILE_TYPES = ['application/pdf', 'image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const MAX_MATERIAL_FILE_MB = parseInt(process.env.MAX_MATERIAL_FILE_MB) || 25;
+// How long the download link handed out by unlock keeps working
+const FILE_TOKEN_TTL_SECONDS = 10 * 60;
+
+// Storage is set up on first use so a misconfigured driver only breaks file routes.
+// On Vercel it is set up at startup instead, so a deployment left on local storage
+// fails straight away rather than losing every upload.
+let fileStorage = null;
+
+function getFileStorage() {
+    if (!fileStorage) fileStorage = createStorage();
+    return fileStorage;
+}
+
+if (process.env.VERCEL) getFileStorage();
+
+const materialUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_MATERIAL_FILE_MB * 1024 * 1024, files: 1 }
+}).single('file');
+
+// Parse a multipart material form with an optional "file" part; JSON requests pass straight through
+function parseMaterialUpload(req, res, next) {
+    materialUpload(req, res, error => {
+        if (!error) return next();
+
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            const message = `file must be at most ${MAX_MATERIAL_FILE_MB} MB`;
+            return sendError(res, new HttpError(413, message, { details: [{ location: 'body', field: 'file', message }] }));
+        }
+
+        if (error instanceof multer.MulterError) {
+            return sendError(res, invalidField(error.field || 'file', error.message));
+        }
+
+        next(error);
+    });
+}
+
+// Check an uploaded file against the allowed types
+function parseMaterialFile(file) {
+    const extension = path.extname(file.originalname).toLowerCase();
+    const type = MATERIAL_FILE_TYPES[extension];
+
+    if (!type) {
+        return { error: invalidField('file', `file must be one of: ${Object.keys(MATERIAL_FILE_TYPES).join(', ')}`) };
+    }
+
+    if (file.size === 0) {
+        return { error: invalidField('file', 'file is empty') };
+    }
+
+    // Keep the name for downloads, minus any path and control characters
+    const name = path.basename(file.originalname.replace(/\\/g, '/')).replace(/[\x00-\x1f\x7f]/g, '').slice(-255);
+
+    return { file: { extension, type, name, buffer: file.buffer } };
+}
+
+// Write an upload to storage under a fresh key; returns the material's file columns
+async function storeMaterialFile(file) {
+    const key = `materials/${crypto.randomUUID()}${file.extension}`;
+    await getFileStorage().put(key, file.buffer, file.type);
+    return { file_key: key, file_name: file.name, file_type: file.type, file_size: file.buffer.length };
+}
+
+// Remove a stored upload whose material was never saved
+async function discardStoredFile(key) {
+    try {
+        await getFileStorage().remove(key);
+    } catch (error) {
+        logger.error('Error removing unused file', { storage_key: key, error });
+    }
+}
+
+// Download links for protected materials are signed with the material's password
+// hash, so changing the password or the file invalidates them
+function signFileToken(material, expires) {
+    return crypto.createHmac('sha256', material.password_hash)
+        .update(`${material.id}.${material.file_key}.${expires}`)
+        .digest('hex');
+}
+
+function createFileToken(material) {
+    const expires = Math.floor(Date.now() / 1000) + FILE_TOKEN_TTL_SECONDS;
+    return `${expires}.${signFileToken(material, expires)}`;
+}
+
+function isValidFileToken(material, token) {
+    const [expires, signature] = String(token || '').split('.');
+
+    if (!material.password_hash || !signature || !(Number(expires) > Date.now() / 1000)) {
+        return false;
+    }
+    return safeEqual(signature, signFileToken(material, expires));
+}
+
+// Body fields a material may carry; POST and PUT add which are required
+const MATERIAL_FIELDS = {
+    title: { type: 'string', required: true, maxLength: 255 },
+    link: { type: 'url', nullable: true },
+    description: { type: 'string', nullable: true },
+    password: { type: 'string', maxLength: 200, nullable: true },
+    carry_forward: { type: 'boolean' }
+};
+
+// Validate a new material; shared by POST /api/materials and CSV imports.
+// A link is required unless a file is being uploaded with it.
+function validateMaterialInput(body, schools, { hasFile = false } = {}) {
+    const { school, date, grade_level, title, link, description } = body;
+
+    const missing = missingFields(body, ['school', 'date', 'grade_level', 'title']);
+    if (missing.length) {
+        return { error: invalidField(missing, 'School, date, grade_level and title are required') };
+    }
+
+    if (!link && !hasFile) {
+        return { error: invalidField(['link', 'file'], 'A link or a file is required') };
+    }
+
+    if (!schools.has(school)) {
+        return { error: invalidField('school', unknownSchoolError(schools)) };
+    }
+
+    if (!isGradeInRange(schools.get(school), grade_level)) {
+        return { error: invalidField('grade_level', gradeRangeError(schools.get(school))) };
+    }
+
+    if (title.length > 255) {
+        return { error: invalidField('title', 'Title must be at most 255 characters') };
+    }
+
+    if (link && !isHttpUrl(link)) {
+        return { error: invalidField('link', 'link must be an http(s) URL') };
+    }
+
+    let formattedDate;
+    try {
+        formattedDate = formatDate(date);
+    } catch (error) {
+        return { error: invalidField('date', 'date must be a valid date') };
+    }
+
+    return {
+        values: {
+            school,
+            date: formattedDate,
+            grade_level: parseInt(grade_level),
+            title,
+            link: link || null,
+            description: description || '',
+            carry_forward: parseBooleanParam(body.carry_forward, false)
+        }
+    };
+}
+
+// CSV bulk imports: accepted columns and the validator for each table
+const CSV_IMPORTS = {
+    events: {
+        columns: ['school', 'date', 'title', 'department', 'time', 'description', 'rrule', 'ab_day'],
+        validate: validateEventInput,
+        permissionError: eventPermissionError
+    },
+    materials: {
+        columns: ['school', 'date', 'grade_level', 'title', 'link', 'description', 'carry_forward'],
+        validate: validateMaterialInput,
+        permissionError: (admin, row) => schoolPermissionError(admin, row.school)
+    }
+};
+const CSV_DUPLICATE_MODES = ['skip', 'update'];
+const CSV_IMPORT_QUERY = {
+    ...SCHOOL_FILTER,
+    on_duplicate: { type: 'string', values: CSV_DUPLICATE_MODES }
+};
+
+// Validate every CSV row, then insert the valid ones in one transaction. Rows matching an
+// existing school/date/title are skipped or updated depending on onDuplicate.
+async function importCsv(req, table, { text, school, onDuplicate }) {
+    const { columns, validate, permissionError } = CSV_IMPORTS[table];
+
+    let parsed;
+    try {
+        parsed = parseCsvRecords(text);
+    } catch (error) {
+        throw invalidField('csv', error.message);
+    }
+
+    const { columns: header, records } = parsed;
+    const schools = await loadSchools();
+
+    if (records.length === 0) {
+        throw invalidField('csv', 'CSV must have a header row and at least one data row');
+    }
+
+    const errors = [];
+    const valid = [];
+    const seen = new Set();
+
+    for (const { line, values } of records) {
+        const provided = columns.filter(column => column in values);
+        const { error, values: row } = validate({
+            school,
+            ...Object.fromEntries(provided.map(column => [column, values[column]]))
+        }, schools);
+
+        if (error) {
+            errors.push({ row: line, error: error.message });
+            continue;
+        }
+
+        const denied = permissionError(req.admin, row);
+        if (denied) {
+            errors.push({ row: line, error: denied });
+            continue;
+        }
+
+        const key = [row.school, row.date, row.title.toLowerCase()].join('|');
+        if (seen.has(key)) {
+            errors.push({ row: line, error: 'Duplicates an earlier row in this file' });
+            continue;
+        }
+        seen.add(key);
+        valid.push({ line, row, provided });
+    }
+
+    const summary = { inserted: 0, updated: 0, skipped: 0, ids: [] };
+    // Subscribers filter changes by school, so each school in the file gets its own change
+    const bySchool = new Map();
+    const tally = (code, outcome, id) => {
+        if (!bySchool.has(code)) bySchool.set(code, { inserted: 0, updated: 0, ids: [] });
+        bySchool.get(code)[outcome] += 1;
+        bySchool.get(code).ids.push(id);
+    };
+
+    if (valid.length > 0) {
+        await withTransaction(req, async client => {
+            for (const { line, row, provided } of valid) {
+                const existing = await client.query(`
+                    SELECT * FROM ${table}
+                    WHERE school = $1 AND date = $2 AND lower(title) = lower($3) AND deleted_at IS NULL
+                    ORDER BY id LIMIT 1
+                `, [row.school, row.date, row.title]);
+
+                if (existing.rows[0] && onDuplicate === 'skip') {
+                    summary.skipped += 1;
+                    continue;
+                }
+
+                // Updates only touch the columns present in the file
+                if (existing.rows[0]) {
+                    const denied = permissionError(req.admin, existing.rows[0]);
+                    if (denied) {
+                        errors.push({ row: line, error: denied });
+                        continue;
+                    }
+
+                    const fields = provided.filter(field => field in row);
+                    await client.query(`
+                        UPDATE ${table}
+                        SET ${fields.map((field, index) => `${field} = $${index + 1}`).join(', ')},
+                            updated_at = CURRENT_TIMESTAMP
+                        WHERE id = $${fields.length + 1}
+                    `, [...fields.map(field => row[field]), existing.rows[0].id]);
+                    summary.updated += 1;
+                    summary.ids.push(existing.rows[0].id);
+                    tally(row.school, 'updated', existing.rows[0].id);
+                    continue;
+                }
+
+                const fields = Object.keys(row);
+                const result = await client.query(`
+                    INSERT INTO ${table} (${fields.join(', ')})
+                    VALUES (${fields.map((field, index) => `$${index + 1}`).join(', ')})
+                    RETURNING id
+                `, fields.map(field => row[field]));
+                summary.inserted += 1;
+                summary.ids.push(result.rows[0].id);
+                tally(row.school, 'inserted', result.rows[0].id);
+            }
+
+            for (const [code, counts] of bySchool) {
+                await emitChange(client, req, `${table}.imported`, { school: code, data: counts });
+            }
+        });
+    }
+
+    return {
+        rows: records.length,
+        ...summary,
+        invalid: errors.length,
+        errors: errors.sort((a, b) => a.row - b.row),
+        ignored_columns: header.filter(column => column && !columns.includes(column))
+    };
+}
+
+// Request handler for POST /api/events/import and /api/materials/import. The body is
+// raw CSV (text/csv) or JSON { csv }; ?school= fills in a missing school column and
+// ?on_duplicate=skip|update decides what happens to rows that already exist.
+function csvImportRoute(table) {
+    return async (req, res) => {
+        try {
+            const text = typeof req.body === 'string' ? req.body : req.body && req.body.csv;
+            const school = req.query.school || (req.body && req.body.school);
+            const onDuplicate = req.query.on_duplicate || (req.body && req.body.on_duplicate) || 'skip';
+
+            if (!text || typeof text !== 'string') {
+                return sendError(res, invalidField('csv', 'Send CSV as text/csv or as JSON { "csv": "..." }'));
+            }
+
+            // The query is checked by CSV_IMPORT_QUERY; a JSON body is not
+            if (!CSV_DUPLICATE_MODES.includes(onDuplicate)) {
+                return sendError(res, invalidField('on_duplicate', 'on_duplicate must be skip or update'));
+            }
+
+            const result = await importCsv(req, table, { text, school, onDuplicate });
+
+            res.json({ success: true, ...result });
+        } catch (error) {
+            sendError(res, error, `Error importing ${table} CSV`);
+        }
+    };
+}
+
+const csvBody = express.text({ type: ['text/csv', 'text/plain', 'text/tab-separated-values'], limit: '10mb' });
+
+// HTTP caching for public reads. Responses carry an ETag and Last-Modified derived
+// from the tables' updated_at values, and are kept in an in-process cache that any
+// successful write clears. Admin requests always bypass both.
+const READ_CACHE_TTL_MS = (parseInt(process.env.READ_CACHE_TTL_SECONDS) || 30) * 1000;
+const READ_CACHE_MAX_ENTRIES = 500;
+const PUBLIC_CACHE_CONTROL = 'public, max-age=0, s-maxage=60, stale-while-revalidate=300';
+const CACHEABLE_ROUTES = [
+    /^\/day-schedules$/,
+    /^\/day-types$/,
+    /^\/day-type-definitions$/,
+    /^\/events$/,
+    /^\/materials$/,
+    /^\/search$/,
+    /^\/calendar(\/[^/]+\.ics)?$/,
+    /^\/bell-schedules(\/day)?$/,
+    /^\/schools(\/[^/]+(\/overrides)?)?$/,
+    /^\/departments(\/[^/]+(\/events|\/calendar\.ics)?)?$/,
+    /^\/school-years(\/[^/]+(\/terms)?)?$/
+];
+
+const readCache = new Map();
+let readCacheGeneration = 0;
+
+function clearReadCache() {
+    readCache.clear();
+    readCacheGeneration++;
+}
+
+// Version of the calendar data as a whole. Every transaction that writes a table the
+// cached routes read bumps it as it commits (migrations/010_data_version.sql and
+// 018_data_version_at_commit.sql), so this is one row.
+async function dataVersion() {
+    const activePool = ensurePoolExists();
+    const result = await activePool.query('SELECT version, changed_at FROM data_version');
+    const row = result.rows[0];
+    return { tag: String(row.version), lastModified: row.changed_at };
+}
+
+async function readCacheMiddleware(req, res, next) {
+    if (req.method !== 'GET' || !CACHEABLE_ROUTES.some(route => route.test(req.path))) {
+        return next();
+    }
+
+    if (req.admin) {
+        res.set('Cache-Control', 'private, no-store');
+        return next();
+    }
+
+    try {
+        // Defaults such as "today", the recurrence horizon and the current school year
+        // move with the date, so entries are only good for the day they were made
+        const today = todayString();
+        const key = `${today}|${req.originalUrl}`;
+        const generation = readCacheGeneration;
+        let entry = readCache.get(key);
+        let version = null;
+
+        if (!entry || Date.now() - entry.checkedAt > READ_CACHE_TTL_MS) {
+            version = await dataVersion();
+            if (entry && entry.version === version.tag) {
+                entry.checkedAt = Date.now();
+            } else {
+                entry = null;
+            }
+        }
+
+        const etag = entry ? entry.etag : `W/"${crypto.createHash('sha1')
+            .update(`${version.tag}|${key}`).digest('hex').slice(0, 32)}"`;
+        // Never older than the day began, so If-Modified-Since can't carry over yesterday's answer
+        const lastModified = entry
+            ? entry.lastModified
+            : new Date(Math.max(version.lastModified, Date.parse(`${today}T00:00:00Z`)));
+
+        res.set({
+            'Cache-Control': PUBLIC_CACHE_CONTROL,
+            Vary: 'Authorization, Cookie',
+            ETag: etag,
+            'Last-Modified': lastModified.toUTCString()
+        });
+        // Answered here without reaching a route, so request metrics need the label
+        req.routeLabel = entry ? entry.route : 'cached';
+
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+
+        if (entry) {
+            res.set(entry.headers);
+            return res.send(entry.body);
+        }
+
+        const send = res.send.bind(res);
+        res.send = body => {
+            if (res.statusCode !== 200) {
+                res.set('Cache-Control', 'no-store');
+            } else if (generation === readCacheGeneration) {
+                if (readCache.size >= READ_CACHE_MAX_ENTRIES) {
+                    readCache.delete(readCache.keys().next().value);
+                }
+                readCache.set(key, {
+                    version: version.tag,
+                    etag,
+                    lastModified,
+                    checkedAt: Date.now(),
+                    route: req.route ? req.baseUrl + req.route.path : 'cached',
+                    body,
+                    headers: {
+                        'Content-Type': res.get('Content-Type'),
+                        ...(res.get('Content-Disposition') && { 'Content-Disposition': res.get('Content-Disposition') })
+                    }
+                });
+            }
+            return send(body);
+        };
+        next();
+    } catch (error) {
+        // Caching is best effort; fall through to the route
+        logError('Error checking read cache', error, req.log);
+        next();
+    }
+}
+
+// Any successful write may change what the cached reads return
+function invalidateReadCacheOnWrite(req, res, next) {
+    if (!SAFE_METHODS.includes(req.method)) {
+        res.on('finish', () => {
+            if (res.statusCode < 400) clearReadCache();
+        });
+    }
+    next();
+}
+
+// Change notifications. Routes call emitChange inside the write's transaction, so
+// the change_events row and its webhook_deliveries commit or roll back with the
+// data they describe. The NOTIFY goes out at commit and relays the change to open
+// /api/stream connections on every instance.
+const CHANGE_TYPES = [
+    'event.created', 'event.updated', 'event.deleted', 'events.imported',
+    'material.created', 'material.updated', 'material.deleted', 'materials.imported',
+    'day_schedule.changed', 'day_type.changed', 'day_schedules.imported', 'day_types.imported',
+    'schools.imported', 'school_day_schedules.imported', 'school_day_types.imported',
+    'calendar.reset', 'school_year.rolled_over'
+];
+// How often to look for webhook deliveries that are due for a retry
+const WEBHOOK_POLL_MS = 30 * 1000;
+const MAINTENANCE_MS = 60 * 60 * 1000;
+
+const webhookDispatcher = createDispatcher(() => (pool && !pool.ended ? pool : null), { log: logError });
+// Writes on other instances leave this one's read cache stale, so clear it on every change
+const changeStream = createChangeStream(() => (pool && !pool.ended ? pool : null), {
+    log: logError,
+    onChange: clearReadCache
+});
+
+// client is the transaction the change was made in. school is null for
+// district-wide changes such as the A/B rotation.
+async function emitChange(client, req, type, { school = null, data }) {
+    const change = {
+        id: crypto.randomUUID(),
+        type,
+        school,
+        occurred_at: new Date().toISOString(),
+        actor: req.admin ? req.admin.username : null,
+        data
+    };
+    await recordChange(client, change);
+    await enqueueDeliveries(client, change);
+    req.changesQueued = true;
+}
+
+// Send this request's deliveries straight away where the process outlives the
+// response; anything left is picked up by the poll or GET /api/cron/maintenance
+function dispatchWebhooksOnFinish(req, res, next) {
+    res.on('finish', () => {
+        if (req.changesQueued) webhookDispatcher.run();
+    });
+    next();
+}
+
+// Housekeeping run hourly by a long-lived server and by GET /api/cron/maintenance
+async function runMaintenance(db) {
+    const changesPruned = await pruneChanges(db);
+    const unlocks = await db.query('DELETE FROM unlock_attempts WHERE reset_at <= CURRENT_TIMESTAMP');
+    await purgeExpiredTrash(db);
+    const filesRemoved = await removeOrphanedFiles(db, getFileStorage());
+    return { changes_pruned: changesPruned, unlock_attempts_pruned: unlocks.rowCount, files_removed: filesRemoved };
+}
+
+function maintain() {
+    if (!pool || pool.ended) return;
+    runMaintenance(pool).catch(error => logError('Error running maintenance', error));
+}
+
+// Background work starts once the schema is up to date, after a retry if need be
+let backgroundStarted = false;
+
+function startBackgroundWork() {
+    if (backgroundStarted) return;
+    backgroundStarted = true;
+    setInterval(() => webhookDispatcher.run(), WEBHOOK_POLL_MS).unref();
+    maintain();
+    setInterval(maintain, MAINTENANCE_MS).unref();
+    if (pool) changeStream.start();
+}
+
+migrationsReady.then(startBackgroundWork, () => {});
+
+app.use(errorEnvelope);
+
+// Hold API requests until startup migrations finish. If they failed, answer 503 and
+// start them again, so a database that was down at startup needs no restart.
+app.use('/api', (req, res, next) => {
+    const waitingFor = migrationsReady;
+    waitingFor.then(() => next(), () => {
+        if (migrationsReady === waitingFor) {
+            migrationsReady = startMigrations();
+            migrationsReady.then(startBackgroundWork, () => {});
+        }
+        res.status(503).json({ error: 'Database migrations have not completed; try again shortly' });
+    });
+});
+app.use('/api', loadSession);
+app.use('/api', requireAdminForWrites);
+app.use('/api', restrictScopedWrites);
+app.use('/api', invalidateReadCacheOnWrite);
+app.use('/api', dispatchWebhooksOnFinish);
+app.use('/api', readCacheMiddleware);
+
+// Root route - API info
+app.get('/', (req, res) => {
+    res.json({
+        name: 'WLWV Life Calendar API',
+        version: '2.4.0',
+        status: 'running',
+        environment: process.env.NODE_ENV || 'development',
+        endpoints: {
+            health: '/api/health',
+            maintenance: '/api/cron/maintenance',
+            init: 'POST /api/init',
+            migrations: '/api/migrations',
+            audit: '/api/audit',
+            undo: 'POST /api/audit/:id/undo',
+            trash: '/api/trash',
+            reset: 'POST /api/reset',
+            snapshots: '/api/snapshots',
+            export: '/api/export',
+            import: 'POST /api/import',
+            csvImport: 'POST /api/events/import, POST /api/materials/import',
+            login: 'POST /api/auth/login',
+            logout: 'POST /api/auth/logout',
+            daySchedules: '/api/day-schedules',
+            generateRotation: 'POST /api/day-schedules/generate',
+            reflowRotation: 'POST /api/day-schedules/reflow',
+            schools: '/api/schools',
+            schoolOverrides: '/api/schools/:code/overrides',
+            calendar: '/api/calendar?school=wlhs&from=YYYY-MM-DD&to=YYYY-MM-DD',
+            dayTypes: '/api/day-types',
+            dayTypeDefinitions: '/api/day-type-definitions',
+            bellSchedules: '/api/bell-schedules',
+            bellScheduleForDate: '/api/bell-schedules/day?school=wlhs&date=YYYY-MM-DD',
+            now: '/api/now?school=wlhs',
+            events: '/api/events',
+            materials: '/api/materials',
+            unlockMaterial: 'POST /api/materials/:id/unlock',
+            calendarFeed: '/api/calendar/:school.ics'
+        },
+        features: [
+            'Password-protected materials',
+            'Multi-school support',
+            'A/B day scheduling',
+            'Event management',
+            'Grade-level materials',
+            'Auto-reconnecting database pool',
+            'Admin authentication',
+            'iCalendar subscription feeds',
+            'Recurring events',
+            'A/B rotation generator',
+            'Audit log with undo',
+            'Day type catalog with colors and in-session flags',
+            'Bell schedules and current period',
+            'Schools with per-date calendar overrides',
+            'Combined per-day calendar view',
+            'ETag caching with an in-process read cache',
+            'Trash with 30-day restore',
+            'JSON export and import',
+            'CSV bulk import for events and materials',
+            'Schema-validated requests with a consistent error format',
+            'Ranked full-text search across events and materials',
+            'Signed webhooks with retries and a delivery log',
+            'District, school and department roles',
+            'Live updates over Server-Sent Events',
+            'File attachments for materials',
+            'Department catalog with per-department event feeds',
+            'Structured JSON logs with request IDs and Prometheus metrics',
+            'School years and terms with rollover and archiving'
+        ]
+    });
+});
+
+// Serve the main application
+app.get('/app', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Health check endpoint with pool recovery
+app.get('/api/health', async (req, res) => {
+    try {
+        const activePool = ensurePoolExists();
+        const client = await activePool.connect();
+        const result = await client.query('SELECT NOW() as timestamp, version() as db_version');
+        client.release();
+
+        res.json({ 
+            status: 'healthy', 
+            message: 'Database connected',
+            connected: true,
+            timestamp: result.rows[0].timestamp,
+            database: 'PostgreSQL',
+            environment: process.env.NODE_ENV || 'development'
+        });
+    } catch (error) {
+        logError('Health check failed', error, req.log);
+        res.status(500).json({ 
+            error: 'Database connection failed',
+            connected: false,
+            ...(process.env.NODE_ENV !== 'production' && { details: error.message }),
+            environment: process.env.NODE_ENV || 'development'
+        });
+    }
+});
+
+// Metrics Routes
+
+metrics.gauge('db_pool_connections', 'Database pool connections by state', () => (
+    pool && !pool.ended
+        ? [
+            { labels: { state: 'total' }, value: pool.totalCount },
+            { labels: { state: 'idle' }, value: pool.idleCount },
+            { labels: { state: 'waiting' }, value: pool.waitingCount }
+        ]
+        : []
+));
+metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => (
+    [{ value: process.memoryUsage().rss }]
+));
+metrics.gauge('process_uptime_seconds', 'Seconds since the process started', () => (
+    [{ value: Math.round(process.uptime()) }]
+));
+
+// Prometheus scrape endpoint for district admins. A scraper without a session sends
+// METRICS_TOKEN as a bearer token; with no token configured only admins can read it.
+app.get('/api/metrics', (req, res) => {
+    const token = process.env.METRICS_TOKEN;
+    if (!isDistrictAdmin(req.admin) && !(token && safeEqual(getSessionToken(req) || '', token))) {
+        return res.status(401).json({ error: 'Metrics token required' });
+    }
+
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.set('Cache-Control', 'no-store');
+    res.send(metrics.render());
+});
+
+// Cron Routes
+// On Vercel no process outlives its request, so the in-process timers never fire
+// and webhook retries would wait for the next write. vercel.json schedules this
+// route instead; Vercel sends CRON_SECRET as a bearer token. A district admin may
+// also run it by hand. Webhook sending stops after CRON_WEBHOOK_BUDGET_MS so the
+// run fits in a function's time limit; whatever is left goes out on the next run.
+const CRON_WEBHOOK_BUDGET_MS = (parseInt(process.env.CRON_WEBHOOK_BUDGET_SECONDS) || 30) * 1000;
+
+app.get('/api/cron/maintenance', async (req, res) => {
+    const secret = process.env.CRON_SECRET;
+    if (!isDistrictAdmin(req.admin) && !(secret && safeEqual(getSessionToken(req) || '', secret))) {
+        return res.status(401).json({ error: 'Cron secret required' });
+    }
+
+    try {
+        const activePool = ensurePoolExists();
+        const deadline = Date.now() + CRON_WEBHOOK_BUDGET_MS;
+        let deliveries = 0;
+        let sent;
+        while ((sent = await processDueDeliveries(activePool, { deadline })) > 0) deliveries += sent;
+
+        res.set('Cache-Control', 'no-store');
+        res.json({ success: true, webhook_deliveries_sent: deliveries, ...await runMaintenance(activePool) });
+    } catch (error) {
+        sendError(res, error, 'Error running maintenance');
+    }
+});
+
+// Migration status
+app.get('/api/migrations', requireDistrictAdmin, async (req, res) => {
+    try {
+        const activePool = ensurePoolExists();
+        res.json(await migrationStatus(activePool));
+    } catch (error) {
+        sendError(res, error, 'Error fetching migration status');
+    }
+});
+
+// Initialize database: apply pending migrations and seed the first admin
+app.post('/api/init', async (req, res) => {
+    try {
+        // Anonymous callers only get this far with DATABASE_URL set, but never trust their dbUrl
+        const dbUrl = process.env.DATABASE_URL || (req.admin && req.body.dbUrl);
+
+        if (!dbUrl) {
+            return sendError(res, invalidField('dbUrl', 'Database URL is required. Set DATABASE_URL environment variable or provide in request.'));
+        }
+
+        req.log.info('Initializing database connection');
+        
+        // Create new pool only if needed
+        if (!pool) {
+            pool = initializePool(dbUrl);
+        } else if (pool.ended) {
+            pool = initializePool(dbUrl);
+        }
+
+        // Test connection
+        const client = await pool.connect();
+        req.log.info('Database connection successful');
+        client.release();
+
+        req.log.info('Applying database migrations');
+        const applied = await migrateUp(pool, { log: message => req.log.info(message) });
+        await seedAdminFromEnv(pool);
+
+        req.log.info('Database schema initialized');
+
+        res.json({ 
+            message: 'Database initialized successfully',
+            migrationsApplied: applied,
+            features: ['password-protected materials', 'multi-school support', 'performance indexes', 'admin authentication'],
+            environment: process.env.NODE_ENV || 'development',
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        logError('Database initialization error', error, req.log);
+        
+        let errorMessage = 'Database initialization failed';
+        let suggestions = [];
+        
+        if (error.code === 'ENOTFOUND') {
+            errorMessage = 'Database host not found. Check your connection string.';
+            suggestions.push('Verify DATABASE_URL is correct');
+        } else if (error.code === 'ECONNREFUSED') {
+            errorMessage = 'Connection refused. Database may not be running.';
+            suggestions.push('Check if database is active');
+        } else if (error.code === '28P01') {
+            errorMessage = 'Authentication failed. Check credentials.';
+            suggestions.push('Verify username and password in DATABASE_URL');
+        } else if (error.code === '3D000') {
+            errorMessage = 'Database does not exist.';
+            suggestions.push('Check database name in connection string');
+        }
+
+        res.status(500).json({ 
+            error: errorMessage,
+            reason: error.code,
+            suggestions,
+            hasEnvVar: !!process.env.DATABASE_URL
+        });
+    }
+});
+
+// Auth Routes
+app.post('/api/auth/login', validateRequest({
+    body: {
+        username: { type: 'string', required: true, maxLength: 100 },
+        password: { type: 'string', required: true }
+    }
+}), async (req, res) => {
+    try {
+        const activePool = ensurePoolExists();
+        const { username, password } = req.body;
+
+        const client = await activePool.connect();
+
+        try {
+            const result = await client.query(
+                'SELECT id, username, role, school, department, password_hash FROM admins WHERE username = $1',
+                [username]
+            );
+            const admin = result.rows[0];
+            const valid = await verifyPassword(password, admin ? admin.password_hash : DUMMY_PASSWORD_HASH);
+
+            if (!admin || !valid) {
+                return res.status(401).json({ error: 'Invalid username or password' });
+            }
+
+            const token = crypto.randomBytes(32).toString('base64url');
+            const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+
+            await client.query('DELETE FROM admin_sessions WHERE expires_at <= CURRENT_TIMESTAMP');
+            await client.query(
+                'INSERT INTO admin_sessions (token_hash, admin_id, expires_at) VALUES ($1, $2, $3)',
+                [hashToken(token), admin.id, expiresAt]
+            );
+
+            res.cookie(SESSION_COOKIE, token, { ...sessionCookieOptions(), expires: expiresAt });
+            res.json({
+                success: true,
+                token,
+                expiresAt: expiresAt.toISOString(),
+                admin: {
+                    id: admin.id,
+                    username: admin.username,
+                    role: admin.role,
+                    school: admin.school,
+                    department: admin.department
+                }
+            });
+        } finally {
+            client.release();
+        }
+    } catch (error) {
+        sendError(res, error, 'Error logging in');
+    }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        const token = getSessionToken(req);
+
+        if (token) {
+            const activePool = ensurePoolExists();
+            const client = await activePool.connect();
+            try {
+                await client.query('DELETE FROM admin_sessions WHERE token_hash = $1', [hashToken(token)]);
+            } finally {
+                client.release();
+            }
+        }
+
+        res.clearCookie(SESSION_COOKIE, sessionCookieOptions());
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error, 'Error logging out');
+    }
+});
+
+app.get('/api/auth/me', (req, res) => {
+    res.json({
+        authenticated: !!req.admin,
+        admin: req.admin
+    });
+});
+
+const MIN_ADMIN_PASSWORD_LENGTH = 8;
+
+// Any signed-in account can change its own password; other sessions are signed out
+app.post('/api/auth/password', validateRequest({
+    body: {
+        current_password: { type: 'string', required: true },
+        new_password: { type: 'string', required: true, minLength: MIN_ADMIN_PASSWORD_LENGTH }
+    }
+}), async (req, res) => {
+    try {
+        const { current_password: currentPassword, new_password: newPassword } = req.body;
+
+        await withTransaction(req, async client => {
+            const result = await client.query('SELECT password_hash FROM admins WHERE id = $1 FOR UPDATE', [req.admin.id]);
+
+            if (!(await verifyPassword(currentPassword, result.rows[0].password_hash))) {
+                throw invalidField('current_password', 'Current password is incorrect');
+            }
+
+            await client.query(
+                'UPDATE admins SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+                [await hashPassword(newPassword), req.admin.id]
+            );
+            await client.query(
+                'DELETE FROM admin_sessions WHERE admin_id = $1 AND token_hash <> $2',
+                [req.admin.id, hashToken(getSessionToken(req))]
+            );
+        });
+
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error, 'Error changing password');
+    }
+});
+
+// Admin Account Routes
+const ADMIN_COLUMNS = 'id, username, role, school, department, created_at, updated_at';
+const ADMIN_USERNAME_PATTERN = /^[A-Za-z0-9._@-]+$/;
+const ADMIN_FIELDS = {
+    username: { type: 'string', maxLength: 100, pattern: ADMIN_USERNAME_PATTERN, patternMessage: 'may only contain letters, digits, dots, dashes, underscores and @' },
+    password: { type: 'string', minLength: MIN_ADMIN_PASSWORD_LENGTH, maxLength: 200 },
+    role: { type: 'string', values: ADMIN_ROLES },
+    school: { type: 'string', maxLength: 10, nullable: true },
+    department: { type: 'string', maxLength: 50, nullable: true }
+};
+
+// Validate account fields against the account being edited (or {} for a new one).
+// School and department follow the role: district admins have neither, school admins
+// a school, and department editors both.
+function parseAdminInput(body, schools, current = {}) {
+    const admin = {};
+
+    if (body.username !== undefined) admin.username = body.username;
+    if (body.password !== undefined) admin.password = body.password;
+
+    if (body.role === undefined && body.school === undefined && body.department === undefined) {
+        return { admin };
+    }
+
+    const role = body.role !== undefined ? body.role : current.role;
+    const school = role === 'district_admin' ? null : (body.school !== undefined ? body.school : current.school);
+    const department = role === 'department_editor'
+        ? String((body.department !== undefined ? body.department : current.department) || '').trim()
+        : null;
+
+    if (role !== 'district_admin' && !schools.has(school)) {
+        return { error: invalidField('school', `${role} accounts need a school. ${unknownSchoolError(schools)}`) };
+    }
+
+    if (role === 'department_editor' && !department) {
+        return { error: invalidField('department', 'department_editor accounts need a department') };
+    }
+
+    const departmentName = department ? findDepartment(schools.get(school), department) : null;
+
+    if (department && !departmentName) {
+        return { error: invalidField('department', unknownDepartmentError(schools.get(school))) };
+    }
+
+    return { admin: { ...admin, role, school, department: departmentName } };
+}
+
+// Save parsed account fields, hashing any new password
+async function adminWriteValues(admin) {
+    const { password, ...values } = admin;
+    if (password !== undefined) values.password_hash = await hashPassword(password);
+    return values;
+}
+
+function adminWriteError(error, username) {
+    if (error.code === '23505') return new HttpError(409, `Username ${username} is taken`);
+    return error;
+}
+
+// Refuse a change that would leave no district admin. Locks the district admins
+// so two concurrent demotions cannot both pass.
+async function ensureOtherDistrictAdmin(client, id) {
+    const result = await client.query("SELECT id FROM admins WHERE role = 'district_admin' FOR UPDATE");
+
+    if (!result.rows.some(row => row.id !== Number(id))) {
+        throw new HttpError(409, 'At least one district admin must remain');
+    }
+}
+
+app.get('/api/admins', requireDistrictAdmin, async (req, res) => {
+    try {
+        const activePool = ensurePoolExists();
+        const result = await activePool.query(`SELECT ${ADMIN_COLUMNS} FROM admins ORDER BY username`);
+
+        res.json(result.rows);
+    } catch (error) {
+        sendError(res, error, 'Error fetching admins');
+    }
+});
+
+app.get('/api/admins/:id', requireDistrictAdmin, validateRequest({ params: ID_PARAMS }), async (req, res) => {
+    try {
+        const activePool = ensurePoolExists();
+        const result = await activePool.query(`SELECT ${ADMIN_COLUMNS} FROM admins WHERE id = $1`, [req.params.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Admin not found' });
+        }
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        sendError(res, error, 'Error fetching admin');
+    }
+});
+
+app.post('/api/admins', requireDistrictAdmin, validateRequest({
+    body: {
+        ...ADMIN_FIELDS,
+        username: { ...ADMIN_FIELDS.username, required: true },
+        password: { ...ADMIN_FIELDS.password, required: true },
+        role: { ...ADMIN_FIELDS.role, required: true }
+    }
+}), async (req, res) => {
+    try {
+        const { error, admin } = parseAdminInput(req.body, await loadSchools());
+
+        if (error) {
+            return sendError(res, error);
+        }
+
+        const values = await adminWriteValues(admin);
+        const fields = Object.keys(values);
+
+        const result = await withTransaction(req, client => client.query(`
+            INSERT INTO admins (${fields.join(', ')})
+            VALUES (${fields.map((field, index) => `$${index + 1}`).join(', ')})
+            RETURNING ${ADMIN_COLUMNS}
+        `, fields.map(field => values[field]))).catch(error => {
+            throw adminWriteError(error, admin.username);
+        });
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        sendError(res, error, 'Error creating admin');
+    }
+});
+
+// A new password signs the account out everywhere; role changes apply on its next request
+app.put('/api/admins/:id', requireDistrictAdmin, validateRequest({ params: ID_PARAMS, body: ADMIN_FIELDS }), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const schools = await loadSchools();
+
+        const result = await withTransaction(req, async client => {
+            const existing = await client.query(`SELECT ${ADMIN_COLUMNS} FROM admins WHERE id = $1 FOR UPDATE`, [id]);
+            const current = existing.rows[0];
+
+            if (!current) {
+                throw new HttpError(404, 'Admin not found');
+            }
+
+            const { error, admin } = parseAdminInput(req.body, schools, current);
+
+            if (error) {
+                throw error;
+            }
+
+            const values = await adminWriteValues(admin);
+            const fields = Object.keys(values);
+
+            if (fields.length === 0) {
+                throw new HttpError(400, 'Nothing to update');
+            }
+
+            if (current.role === 'district_admin' && values.role && values.role !== 'district_admin') {
+                await ensureOtherDistrictAdmin(client, id);
+            }
+
+            const updated = await client.query(`
+                UPDATE admins
+                SET ${fields.map((field, index) => `${field} = $${index + 2}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING ${ADMIN_COLUMNS}
+            `, [id, ...fields.map(field => values[field])]).catch(error => {
+                throw adminWriteError(error, admin.username);
+            });
+
+            if (values.password_hash) {
+                await client.query('DELETE FROM admin_sessions WHERE admin_id = $1', [id]);
+            }
+
+            return updated;
+        });
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        sendError(res, error, 'Error updating admin');
+    }
+});
+
+app.delete('/api/admins/:id', requireDistrictAdmin, validateRequest({ params: ID_PARAMS }), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (Number(id) === req.admin.id) {
+            return res.status(409).json({ error: 'You cannot delete your own account' });
+        }
+
+        await withTransaction(req, async client => {
+            const existing = await client.query('SELECT role FROM admins WHERE id = $1 FOR UPDATE', [id]);
+
+            if (existing.rows.length === 0) {
+                throw new HttpError(404, 'Admin not found');
+            }
+
+            if (existing.rows[0].role === 'district_admin') {
+                await ensureOtherDistrictAdmin(client, id);
+            }
+
+            await client.query('DELETE FROM admins WHERE id = $1', [id]);
+        });
+
+        res.json({ success: true, id: parseInt(id) });
+    } catch (error) {
+        sendError(res, error, 'Error deleting admin');
+    }
+});
+
+// School Routes
+const SCHOOL_CODE_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const SCHOOL_COLUMNS = 'code, name, primary_color, secondary_color, min_grade, max_grade, created_at, updated_at';
+
+// Validate school fields from a request body or archive row; with partial set, omitted
+// fields are left out. Routes check the same rules with SCHOOL_FIELDS first.
+function parseSchoolInput(body, { partial = false } = {}) {
+    const school = {};
+
+    if (!partial || body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > 100) {
+            return { error: invalidField('name', 'name is required and must be at most 100 characters') };
+        }
+        school.name = body.name.trim();
+    }
+
+    for (const field of ['primary_color', 'secondary_color']) {
+        if (body[field] !== undefined) {
+            if (body[field] !== null && body[field] !== '' && !COLOR_PATTERN.test(body[field])) {
+                return { error: invalidField(field, `${field} must be a hex color such as #1e88e5`) };
+            }
+            school[field] = body[field] || null;
+        }
+    }
+
+    for (const field of ['min_grade', 'max_grade']) {
+        if (body[field] !== undefined) {
+            const grade = /^\d+$/.test(String(body[field])) ? Number(body[field]) : NaN;
+            if (!(grade >= 0 && grade <= 12)) {
+                return { error: invalidField(field, `${field} must be a whole number from 0 (kindergarten) to 12`) };
+            }
+            school[field] = grade;
+        }
+    }
+
+    if (school.min_grade !== undefined && school.max_grade !== undefined && school.min_grade > school.max_grade) {
+        return { error: invalidField(['min_grade', 'max_grade'], 'min_grade must not be above max_grade') };
+    }
+
+    return { school };
+}
+
+const SCHOOL_PARAMS = { code: { type: 'string', required: true, maxLength: 10 } };
+const SCHOOL_FIELDS = {
+    name: { type: 'string', maxLength: 100, ...NOT_BLANK },
+    primary_color: { type: 'string', pattern: COLOR_PATTERN, patternMessage: 'must be a hex color such as #1e88e5', nullable: true },
+    secondary_color: { type: 'string', pattern: COLOR_PATTERN, patternMessage: 'must be a hex color such as #1e88e5', nullable: true },
+    min_grade: { type: 'integer', min: 0, max: 12 },
+    max_grade: { type: 'integer', min: 0, max: 12 }
+};
+const OVERRIDE_PARAMS = { ...SCHOOL_PARAMS, date: { type: 'date', required: true } };
+
+// Postgres errors a school write can hit, as client errors
+function schoolWriteError(error) {
+    if (error.code === '23514') return invalidField(['min_grade', 'max_grade'], 'min_grade must not be above max_grade');
+    if (error.code === '23503') return new HttpError(409, 'School still has events, materials or accounts');
+    return error;
+}
+
+app.get('/api/schools', async (req, res) => {
+    try {
+        const activePool = ensurePoolExists();
+        const client = await activePool.connect();
+        const result = await client.query(`SELECT ${SCHOOL_COLUMNS} FROM schools ORDER BY code`);
+        client.release();
+
+        res.json(result.rows);
+    } catch (error) {
+        sendError(res, error, 'Error fetching schools');
+    }
+});
+
+app.get('/api/schools/:code', validateRequest({ params: SCHOOL_PARAMS }), async (req, res) => {
+    try {
+        const activePool = ensurePoolExists();
+        const client = await activePool.connect();
+        const result = await client.query(`SELECT ${SCHOOL_COLUMNS} FROM schools WHERE code = $1`, [req.params.code]);
+        client.release();
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'School not found' });
+        }
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        sendError(res, error, 'Error fetching school');
+    }
+});
+
+app.post('/api/schools', validateRequest({
+    body: {
+        ...SCHOOL_FIELDS,
+        code: { type: 'string', required: true, maxLength: 10, pattern: SCHOOL_CODE_PATTERN, patternMessage: 'must be lowercase letters and digits, e.g. wlhs' },
+        name: { ...SCHOOL_FIELDS.name, required: true }
+    }
+}), async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        const { error, school } = parseSchoolInput(req.body);
+
+        if (error) {
+            return sendError(res, error);
+        }
+
+        const fields = ['code', ...Object.keys(school)];
+        const values = [code, ...Object.values(school)];
+
+        const result = await withTransaction(req, client => client.query(`
+            INSERT INTO schools (${fields.join(', ')})
+            VALUES (${fields.map((field, index) => `$${index + 1}`).join(', ')})
+            ON CONFLICT (code) DO NOTHING
+            RETURNING ${SCHOOL_COLUMNS}
+        `, values)).catch(error => {
+            throw schoolWriteError(error);
+        });
+
+        if (result.rows.length === 0) {
+            return res.status(409).json({ error: `School ${code} already exists` });
+        }
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        sendError(res, error, 'Error creating school');
+    }
+});
+
+// Codes are permanent; everything else can change
+app.put('/api/schools/:code', validateRequest({ params: SCHOOL_PARAMS, body: SCHOOL_FIELDS }), async (req, res) => {
+    try {
+        const { error, school } = parseSchoolInput(req.body, { partial: true });
+
+        if (error) {
+            return sendError(res, error);
+        }
+
+        const fields = Object.keys(school);
+
+        if (fields.length === 0) {
+            return res.status(400).json({ error: 'Nothing to update' });
+        }
+
+        const result = await withTransaction(req, client => client.query(`
+            UPDATE schools
+            SET ${fields.map((field, index) => `${field} = $${index + 2}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE code = $1
+            RETURNING ${SCHOOL_COLUMNS}
+        `, [req.params.code, ...fields.map(field => school[field])])).catch(error => {
+            throw schoolWriteError(error);
+        });
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'School not found' });
+        }
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        sendError(res, error, 'Error updating school');
+    }
+});
+
+// Refused while the school has events, materials or accounts; its overrides and bell schedules go with it
+app.delete('/api/schools/:code', validateRequest({ params: SCHOOL_PARAMS }), async (req, res) => {
+    try {
+        const result = await withTransaction(req, client => client.query(
+            'DELETE FROM schools WHERE code = $1 RETURNING code',
+            [req.params.code]
+        )).catch(error => {
+            throw schoolWriteError(error);
+        });
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'School not found' });
+        }
+
+        res.json({ success: true, code: req.params.code });
+    } catch (error) {
+        sendError(res, error, 'Error deleting school');
+    }
+});
+
+// Dates where a school departs from the district calendar. Only overridden fields are
+// returned; null means the school has no letter or no day type that date.
+app.get('/api/schools/:code/overrides', validateRequest({ params: SCHOOL_PARAMS, query: LIST_QUERY }), async (req, res) => {
+    try {
+        const activePool = ensurePoolExists();
+        const { error, options } = parseListQuery(req.query, 1);
+
+        if (error) {
+            return sendError(res, error);
+        }
+
+        const conditions = [];
+        const params = [req.params.code];
+        addDateRange(conditions, params, options);
+        const where = conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '';
+
+        const client = await activePool.connect();
+        const result = await client.query(`
+            SELECT * FROM (
+                SELECT COALESCE(s.date, t.date) AS date,
+                       s.date IS NOT NULL AS has_schedule, s.schedule,
+                       t.date IS NOT NULL AS has_type, t.type
+                FROM (SELECT * FROM school_day_schedules WHERE school = $1) s
+                FULL JOIN (SELECT * FROM school_day_types WHERE school = $1) t ON t.date = s.date
+            ) overrides${where}
+            ORDER BY date
+        `, params);
+        client.release();
+
+        res.json(result.rows.map(row => ({
+            date: formatDate(row.date),
+            ...(row.has_schedule && { schedule: row.schedule }),
+            ...(row.has_type && { type: row.type })
+        })));
+    } catch (error) {
+        sendError(res, error, 'Error fetching school overrides');
+    }
+});
+
+// A school's effective letter and day type on one date, overrides applied
+async function loadSchoolDay(client, school, date) {
+    const result = await client.query(`
+        SELECT (SELECT schedule FROM (${schoolDaySchedulesSql('$1')}) s WHERE date = $2) AS schedule,
+               (SELECT type FROM (${schoolDayTypesSql('$1')}) t WHERE t.date = $2) AS type
+    `, [school, date]);
+    return result.rows[0];
+}
+
+// Report a change in a school's effective letter or day type to webhook subscribers
+async function emitSchoolDayChanges(client, req, school, date, before, after) {
+    if (before.schedule !== after.schedule) {
+        await emitChange(client, req, 'day_schedule.changed', {
+            school,
+            data: { changes: [{ date, from: before.schedule, to: after.schedule }] }
+        });
+    }
+    if (before.type !== after.type) {
+        await emitChange(client, req, 'day_type.changed', {
+            school,
+            data: { changes: [{ date, from: before.type, to: after.type }] }
+        });
+    }
+}
+
+// Body { schedule, type }: a value overrides the district, null or '' means none that
+// date, and an omitted field keeps following the district
+app.put('/api/schools/:code/overrides/:date', validateRequest({
+    params: OVERRIDE_PARAMS,
+    body: {
+        schedule: { ...AB_LETTER, nullable: true },
+        type: { type: 'string', maxLength: 50, nullable: true }
+    }
+}), async (req, res) => {
+    try {
+        const { code } = req.params;
+        const { schedule, type } = req.body;
+        const schools = await loadSchools();
+
+        if (!schools.has(code)) {
+            return res.status(404).json({ error: 'School not found' });
+        }
+
+        const denied = schoolPermissionError(req.admin, code);
+
+        if (denied) {
+            return res.status(403).json({ error: denied });
+        }
+
+        const date = formatDate(req.params.date);
+
+        if (schedule === undefined && type === undefined) {
+            return sendError(res, invalidField(['schedule', 'type'], 'Provide schedule and/or type'));
+        }
+
+        await withTransaction(req, async client => {
+            const before = await loadSchoolDay(client, code, date);
+
+            if (schedule !== undefined) {
+                await client.query(`
+                    INSERT INTO school_day_schedules (school, date, schedule, updated_at)
+                    VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+                    ON CONFLICT (school, date)
+                    DO UPDATE SET schedule = EXCLUDED.schedule, updated_at = CURRENT_TIMESTAMP
+                `, [code, date, schedule || null]);
+            }
+
+            if (type !== undefined) {
+                if (type) {
+                    const known = await client.query('SELECT 1 FROM day_type_definitions WHERE key = $1', [type]);
+                    if (known.rows.length === 0) {
+                        throw invalidField('type', `Unknown day type: ${type}`);
+                    }
+                }
+
+                await client.query(`
+                    INSERT INTO school_day_types (school, date, type, updated_at)
+                    VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+                    ON CONFLICT (school, date)
+                    DO UPDATE SET type = EXCLUDED.type, updated_at = CURRENT_TIMESTAMP
+                `, [code, date, type || null]);
+            }
+
+            await emitSchoolDayChanges(client, req, code, date, before, await loadSchoolDay(client, code, date));
+        });
+
+        res.json({
+            success: true,
+            school: code,
+            date,
+            ...(schedule !== undefined && { schedule: schedule || null }),
+            ...(type !== undefined && { type: type || null })
+        });
+    } catch (error) {
+        sendError(res, error, 'Error saving school override');
+    }
+});
+
+// Go back to following the district on a date; ?field=schedule or ?field=type for just one
+app.delete('/api/schools/:code/overrides/:date', validateRequest({
+    params: OVERRIDE_PARAMS,
+    query: { field: { type: 'string', values: ['schedule', 'type'] } }
+}), async (req, res) => {
+    try {
+        const { code } = req.params;
+        const { field } = req.query;
+
+        const denied = schoolPermissionError(req.admin, code);
+
+        if (denied) {
+            return res.status(403).json({ error: denied });
+        }
+
+        const date = formatDate(req.params.date);
+
+        const removed = await withTransaction(req, async client => {
+            const before = await loadSchoolDay(client, code, date);
+            let count = 0;
+            if (field !== 'type') {
+                count += (await client.query(
+                    'DELETE FROM school_day_schedules WHERE school = $1 AND date = $2', [code, date]
+                )).rowCount;
+            }
+            if (field !== 'schedule') {
+                count += (await client.query(
+                    'DELETE FROM school_day_types WHERE school = $1 AND date = $2', [code, date]
+                )).rowCount;
+            }
+
+            await emitSchoolDayChanges(client, req, code, date, before, await loadSchoolDay(client, code, date));
+            return count;
+        });
+
+        if (removed === 0) {
+            return res.status(404).json({ error: 'Override not found' });
+        }
+
+        res.json({ success: true, school: code, date });
+    } catch (error) {
+        sendError(res, error, 'Error deleting school override');
+    }
+});
+
+// Day Schedules Routes
+app.get('/api/day-schedules', validateRequest({ query: { ...LIST_QUERY, ...SCHOOL_YEAR_QUERY, ...SCHOOL_FILTER } }), async (req, res) => {
+    try {
+        const activePool = ensurePoolExists();
+        const { error, options } = await parseYearListQuery(req.query, 1);
+
+        if (error) {
+            return sendError(res, error);
+        }
+
+        // ?school= applies that school's date overrides to the district letters
+        const { school } = req.query;
+        const conditions = [];
+        const params = [];
+        let source = 'day_schedules';
+
+        if (school) {
+            const schools = await loadSchools();
+
+            if (!schools.has(school)) {
+                return sendError(res, invalidField('school', unknownSchoolError(schools), 'query'));
+            }
+
+            params.push(school);
+            source = `(${schoolDaySchedulesSql('$1')}) s`;
+            conditions.push('schedule IS NOT NULL');
+        }
+
+        addDateRange(conditions, params, options);
+        addCursor(conditions, params, options, 'date', ['date']);
+        const where = conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '';
+
+        const client = await activePool.connect();
+        const result = await client.query(
+            `SELECT date, schedule FROM ${source}${where} ORDER BY date${addLimit(params, options)}`,
+            params
+        );
+        client.release();
+
+        sendList(res, result.rows, options, row => ({
+            date: formatDate(row.date),
+            schedule: row.schedule
+        }), row => [formatDate(row.date)]);
+    } catch (error) {
+        sendError(res, error, 'Error fetching day schedules');
+    }
+});
+
+app.post('/api/day-schedules', validateRequest({
+    body: {
+        date: { type: 'date', required: true },
+        schedule: { ...AB_LETTER, nullable: true }
+    }
+}), async (req, res) => {
+    try {
+        const { date, schedule } = req.body;
+
+        const formattedDate = formatDate(date);
+
+        await withTransaction(req, async client => {
+            const existing = await client.query('SELECT schedule FROM day_schedules WHERE date = $1 FOR UPDATE', [formattedDate]);
+
+            if (!schedule) {
+                await client.query('DELETE FROM day_schedules WHERE date = $1', [formattedDate]);
+            } else {
+                await client.query(`
+                    INSERT INTO day_schedules (date, schedule, updated_at) 
+                    VALUES ($1, $2, CURRENT_TIMESTAMP)
+                    ON CONFLICT (date) 
+                    DO UPDATE SET schedule = $2, updated_at = CURRENT_TIMESTAMP
+                `, [formattedDate, schedule]);
+            }
+
+            const previous = existing.rows[0] ? existing.rows[0].schedule : null;
+            if (previous !== (schedule || null)) {
+                await emitChange(client, req, 'day_schedule.changed', {
+                    data: { changes: [{ date: formattedDate, from: previous, to: schedule || null }] }
+                });
+            }
+        });
+
+        res.json({ 
+            success: true, 
+            date: formattedDate, 
+            schedule: schedule 
+        });
+    } catch (error) {
+        sendError(res, error, 'Error updating day schedule');
+    }
+});
+
+// Fill day_schedules by alternating A/B over school days; dry_run previews the changes
+app.post('/api/day-schedules/generate', validateRequest({
+    body: {
+        start_date: { type: 'date', required: true },
+        end_date: { type: 'date', required: true },
+        start_letter: { ...AB_LETTER, required: true },
+        dry_run: { type: 'boolean' }
+    }
+}), async (req, res) => {
+    try {
+        const { start_date, end_date, start_letter } = req.body;
+        const dryRun = parseBooleanParam(req.body.dry_run, false);
+
+        const start = formatDate(start_date);
+        const end = formatDate(end_date);
+
+        if (start > end) {
+            return sendError(res, invalidField(['start_date', 'end_date'], 'start_date must be on or before end_date'));
+        }
+
+        if (addDays(start, MAX_ROTATION_DAYS) < end) {
+            return sendError(res, invalidField('end_date', `Date range cannot exceed ${MAX_ROTATION_DAYS} days`));
+        }
+
+        const plan = await withTransaction(req, async client => {
+            const planned = await planRotation(client, { start, end, letter: start_letter });
+            if (!dryRun) {
+                await applyRotation(client, planned.changes);
+                if (planned.changes.length) {
+                    await emitChange(client, req, 'day_schedule.changed', { data: { changes: planned.changes } });
+                }
+            }
+            return planned;
+        });
+
+        res.json({
+            success: true,
+            dry_run: dryRun,
+            start_date: start,
+            end_date: end,
+            start_letter,
+            ...plan
+        });
+    } catch (error) {
+        sendError(res, error, 'Error generating day schedules');
+    }
+});
+
+// Re-run the rotation from a date (e.g. after a snow day), continuing from the last
+// lettered day before it, through end_date or the last scheduled date
+app.post('/api/day-schedules/reflow', validateRequest({
+    body: {
+        from_date: { type: 'date', required: true },
+        end_date: { type: 'date' },
+        start_letter: AB_LETTER,
+        dry_run: { type: 'boolean' }
+    }
+}), async (req, res) => {
+    try {
+        const { from_date, end_date, start_letter } = req.body;
+        const dryRun = parseBooleanParam(req.body.dry_run, false);
+
+        const start = formatDate(from_date);
+
+        const result = await withTransaction(req, async client => {
+            let letter = start_letter;
+            if (!letter) {
+                const previous = await client.query(
+                    'SELECT schedule FROM day_schedules WHERE date < $1 ORDER BY date DESC LIMIT 1',
+                    [start]
+                );
+                if (previous.rows.length === 0) {
+                    throw invalidField('start_letter', 'No scheduled day before from_date; provide start_letter');
+                }
+                letter = previous.rows[0].schedule === 'A' ? 'B' : 'A';
+            }
+
+            let end = end_date ? formatDate(end_date) : null;
+            if (!end) {
+                const last = await client.query('SELECT MAX(date) AS date FROM day_schedules WHERE date >= $1', [start]);
+                if (!last.rows[0].date) {
+                    throw invalidField('end_date', 'No scheduled days on or after from_date; provide end_date');
+                }
+                end = formatDate(last.rows[0].date);
+            }
+
+            if (start > end) {
+                throw invalidField(['from_date', 'end_date'], 'from_date must be on or before end_date');
+            }
+
+            if (addDays(start, MAX_ROTATION_DAYS) < end) {
+                throw invalidField('end_date', `Date range cannot exceed ${MAX_ROTATION_DAYS} days`);
+            }
+
+            const plan = await planRotation(client, { start, end, letter });
+            if (!dryRun) {
+                await applyRotation(client, plan.changes);
+                if (plan.changes.length) {
+                    await emitChange(client, req, 'day_schedule.changed', { data: { changes: plan.changes } });
+                }
+            }
+            return { start_date: start, end_date: end, start_letter: letter, ...plan };
+        });
+
+        res.json({
+            success: true,
+            dry_run: dryRun,
+            ...result
+        });
+    } catch (error) {
+        sendError(res, error, 'Error reflowing day schedules');
+    }
+});
+
+// Day Types Routes
+app.get('/api/day-types', validateRequest({ query: { ...LIST_QUERY, ...SCHOOL_YEAR_QUERY, ...SCHOOL_FILTER, definitions: { type: 'boolean' } } }), async (req, res) => {
+    try {
+        const activePool = ensurePoolExists();
+        const { error, options } = await parseYearListQuery(req.query, 1);
+
+        if (error) {
+            return sendError(res, error);
+        }
+
+        // ?school= applies that school's date overrides to the district day types
+        const { school } = req.query;
+        const conditions = [];
+        const params = [];
+        let source = 'day_types';
+
+        if (school) {
+            const schools = await loadSchools();
+
+            if (!schools.has(school)) {
+                return sendError(res, invalidField('school', unknownSchoolError(schools), 'query'));
+            }
+
+            params.push(school);
+            source = `(${schoolDayTypesSql('$1')})`;
+            conditions.push('t.type IS NOT NULL');
+        }
+
+        addDateRange(conditions, params, options, 't.date');
+        addCursor(conditions, params, options, 't.date', ['date']);
+        const where = conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '';
+
+        // ?definitions=true adds each date's catalog entry
+        const includeDefinitions = parseBooleanParam(req.query.definitions, false);
+
+        const client = await activePool.connect();
+        const result = await client.query(`
+            SELECT t.date, t.type, d.key, d.label, d.color, d.in_session, d.counts_in_rotation
+            FROM ${source} t
+            LEFT JOIN day_type_definitions d ON d.key = t.type${where}
+            ORDER BY t.date${addLimit(params, options)}
+        `, params);
+        client.release();
+
+        sendList(res, result.rows, options, row => ({
+            date: formatDate(row.date),
+            type: row.type,
+            ...(includeDefinitions && { definition: serializeDayTypeDefinition(row) })
+        }), row => [formatDate(row.date)]);
+    } catch (error) {
+        sendError(res, error, 'Error fetching day types');
+    }
+});
+
+app.post('/api/day-types', validateRequest({
+    body: {
+        date: { type: 'date', required: true },
+        type: { type: 'string', maxLength: 50, nullable: true }
+    }
+}), async (req, res) => {
+    try {
+        const { date, type } = req.body;
+
+        const formattedDate = formatDate(date);
+
+        await withTransaction(req, async client => {
+            const existing = await client.query('SELECT type FROM day_types WHERE date = $1 FOR UPDATE', [formattedDate]);
+
+            if (!type) {
+                await client.query('DELETE FROM day_types WHERE date = $1', [formattedDate]);
+            } else {
+                const known = await client.query('SELECT 1 FROM day_type_definitions WHERE key = $1', [type]);
+
+                if (known.rows.length === 0) {
+                    throw invalidField('type', `Unknown day type: ${type}. Add it with POST /api/day-type-definitions first`);
+                }
+
+                await client.query(`
+                    INSERT INTO day_types (date, type, updated_at) 
+                    VALUES ($1, $2, CURRENT_TIMESTAMP)
+                    ON CONFLICT (date) 
+                    DO UPDATE SET type = $2, updated_at = CURRENT_TIMESTAMP
+                `, [formattedDate, type]);
+            }
+
+            const previous = existing.rows[0] ? existing.rows[0].type : null;
+            if (previous !== (type || null)) {
+                await emitChange(client, req, 'day_type.changed', {
+                    data: { changes: [{ date: formattedDate, from: previous, to: type || null }] }
+                });
+            }
+        });
+
+        res.json({ 
+            success: true, 
+            date: formattedDate, 
+            type: type 
+        });
+    } catch (error) {
+        sendError(res, error, 'Error updating day type');
+    }
+});
+
+// Day Type Definition Routes
+const DAY_TYPE_KEY_PARAMS = { key: { type: 'string', required: true, maxLength: 50 } };
+const DAY_TYPE_DEFINITION_FIELDS = {
+    label: { type: 'string', maxLength: 100, ...NOT_BLANK },
+    color: { type: 'string', pattern: COLOR_PATTERN, patternMessage: 'must be a hex color such as #1e88e5', nullable: true },
+    in_session: { type: 'boolean' },
+    counts_in_rotation: { type: 'boolean' }
+};
+
+app.get('/api/day-type-definitions', async (req, res) => {
+    try {
+        const activePool = ensurePoolExists();
+        const client = await activePool.connect();
+        const result = await client.query(
+            `SELECT ${DAY_TYPE_DEFINITION_COLUMNS} FROM day_type_definitions ORDER BY label`
+        );
+        client.release();
+
+        res.json(result.rows);
+    } catch (error) {
+        sendError(res, error, 'Error fetching day type definitions');
+    }
+});
+
+app.post('/api/day-type-definitions', validateRequest({
+    body: {
+        ...DAY_TYPE_DEFINITION_FIELDS,
+        key: { type: 'string', required: true, maxLength: 50, pattern: DAY_TYPE_KEY_PATTERN, patternMessage: 'must be lowercase letters and digits separated by hyphens, e.g. late-start' },
+        label: { ...DAY_TYPE_DEFINITION_FIELDS.label, required: true }
+    }
+}), async (req, res) => {
+    try {
+        const { key } = req.body;
+        const definition = parseDayTypeDefinition(req.body);
+
+        const result = await withTransaction(req, client => client.query(`
+            INSERT INTO day_type_definitions (key, label, color, in_session, counts_in_rotation)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (key) DO NOTHING
+            RETURNING ${DAY_TYPE_DEFINITION_COLUMNS}
+        `, [
+            key, definition.label, definition.color || null,
+            definition.in_session ?? true, definition.counts_in_rotation ?? definition.in_session ?? true
+        ]));
+
+        if (result.rows.length === 0) {
+            return res.status(409).json({ error: `Day type ${key} already exists` });
+        }
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        sendError(res, error, 'Error creating day type definition');
+    }
+});
+
+// Keys are permanent; label, color and flags can change
+app.put('/api/day-type-definitions/:key', validateRequest({ params: DAY_TYPE_KEY_PARAMS, body: DAY_TYPE_DEFINITION_FIELDS }), async (req, res) => {
+    try {
+        const definition = parseDayTypeDefinition(req.body);
+        const fields = Object.keys(definition);
+
+        if (fields.length === 0) {
+            return res.status(400).json({ error: 'Nothing to update' });
+        }
+
+        const result = await withTransaction(req, client => client.query(`
+            UPDATE day_type_definitions
+            SET ${fields.map((field, index) => `${field} = $${index + 2}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE key = $1
+            RETURNING ${DAY_TYPE_DEFINITION_COLUMNS}
+        `, [req.params.key, ...fields.map(field => definition[field])]));
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Day type not found' });
+        }
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        sendError(res, error, 'Error updating day type definition');
+    }
+});
+
+// Refuses while any date or bell schedule still uses the type
+app.delete('/api/day-type-definitions/:key', validateRequest({ params: DAY_TYPE_KEY_PARAMS }), async (req, res) => {
+    try {
+        const result = await withTransaction(req, async client => {
+            const usage = await client.query(`
+                SELECT (SELECT COUNT(*)::int FROM day_types WHERE type = $1) AS dates,
+                       (SELECT COUNT(*)::int FROM bell_schedules WHERE day_type = $1) AS bell_schedules
+            `, [req.params.key]);
+            const { dates, bell_schedules: bellSchedules } = usage.rows[0];
+
+            if (dates > 0 || bellSchedules > 0) {
+                throw new HttpError(409, `Day type ${req.params.key} is used on ${dates} date(s) and by ${bellSchedules} bell schedule(s)`);
+            }
+
+            return client.query('DELETE FROM day_type_definitions WHERE key = $1 RETURNING key', [req.params.key]);
+        });
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Day type not found' });
+        }
+
+        res.json({ success: true, key: req.params.key });
+    } catch (error) {
+        sendError(res, error, 'Error deleting day type definition');
+    }
+});
+
+// Bell Schedule Routes
+app.get('/api/bell-schedules', validateRequest({ query: SCHOOL_FILTER }), async (req, res) => {
+    try {
+        const activePool = ensurePoolExists();
+        const { school } = req.query;
+
+        const schools = await loadSchools();
+
+        if (school && !schools.has(school)) {
+            return sendError(res, invalidField('school', unknownSchoolError(schools), 'query'));
+        }
+
+        const client = await activePool.connect();
+        const result = await client.query(`
+            SELECT ${BELL_SCHEDULE_COLUMNS} FROM bell_schedules
+            WHERE $1::text IS NULL OR school = $1
+            ORDER BY school, day_type NULLS FIRST, name
+        `, [school || null]);
+        client.release();
+
+        res.json(result.rows);
+    } catch (error) {
+        sendError(res, error, 'Error fetching bell schedules');
+    }
+});
+
+// The bell schedule in effect for one date, with periods for that day's A/B letter
+app.get('/api/bell-schedules/day', validateRequest({ query: { ...REQUIRED_SCHOOL, date: { type: 'date' } } }), async (req, res) => {
+    try {
+        const { school, date } = req.query;
+
+        const schools = await loadSchools();
+
+        if (!schools.has(school)) {
+            return sendError(res, invalidField('school', unknownSchoolError(schools), 'query'));
+        }
+
+        const day = date ? formatDate(date) : todayString();
+
+        const activePool = ensurePoolExists();
+        const client = await activePool.connect();
+        try {
+            res.json(await loadBellDay(client, school, day));
+        } finally {
+            client.release();
+        }
+    } catch (error) {
+        sendError(res, error, 'Error fetching bell schedule for date');
+    }
+});
+
+// Read and check { school, name, day_type, periods }; day_type null is the regular schedule
+const BELL_SCHEDULE_FIELDS = {
+    ...SCHOOL_FILTER,
+    name: { type: 'string', maxLength: 100, ...NOT_BLANK },
+    day_type: { type: 'string', maxLength: 50, nullable: true },
+    periods: { type: 'array', items: { type: 'object' } }
+};
+
+async function parseBellScheduleInput(client, body, { partial = false } = {}) {
+    const schedule = {};
+
+    if (!partial || body.school !== undefined) {
+        const schools = await loadSchools(client);
+        if (!schools.has(body.school)) {
+            throw invalidField('school', unknownSchoolError(schools));
+        }
+        schedule.school = body.school;
+    }
+
+    if (body.name !== undefined) {
+        schedule.name = body.name.trim();
+    }
+
+    if (!partial || body.day_type !== undefined) {
+        schedule.day_type = body.day_type || null;
+        if (schedule.day_type) {
+            const known = await client.query('SELECT 1 FROM day_type_definitions WHERE key = $1', [schedule.day_type]);
+            if (known.rows.length === 0) {
+                throw invalidField('day_type', `Unknown day type: ${schedule.day_type}`);
+            }
+        }
+    }
+
+    if (body.periods !== undefined) {
+        const { error, periods } = parsePeriods(body.periods);
+        if (error) {
+            throw error;
+        }
+        schedule.periods = JSON.stringify(periods);
+    }
+
+    return schedule;
+}
+
+// Lock a bell schedule and check the account may change it
+async function lockBellScheduleForEdit(client, admin, id) {
+    const result = await client.query('SELECT school FROM bell_schedules WHERE id = $1 FOR UPDATE', [id]);
+
+    if (result.rows.length === 0) {
+        throw new HttpError(404, 'Bell schedule not found');
+    }
+
+    const denied = schoolPermissionError(admin, result.rows[0].school);
+    if (denied) {
+        throw new HttpError(403, denied);
+    }
+}
+
+function bellScheduleConflict(error) {
+    return error.code === '23505'
+        ? new HttpError(409, 'This school already has a bell schedule for that day type')
+        : error;
+}
+
+app.post('/api/bell-schedules', validateRequest({
+    body: {
+        ...BELL_SCHEDULE_FIELDS,
+        ...REQUIRED_SCHOOL,
+        name: { ...BELL_SCHEDULE_FIELDS.name, required: true },
+        periods: { ...BELL_SCHEDULE_FIELDS.periods, required: true }
+    }
+}), async (req, res) => {
+    try {
+        const result = await withTransaction(req, async client => {
+            const schedule = await parseBellScheduleInput(client, req.body);
+            const denied = schoolPermissionError(req.admin, schedule.school);
+
+            if (denied) {
+                throw new HttpError(403, denied);
+            }
+
+            const fields = Object.keys(schedule);
+
+            return client.query(`
+                INSERT INTO bell_schedules (${fields.join(', ')})
+                VALUES (${fields.map((field, index) => `$${index + 1}`).join(', ')})
+                RETURNING ${BELL_SCHEDULE_COLUMNS}
+            `, fields.map(field => schedule[field])).catch(error => {
+                throw bellScheduleConflict(error);
+            });
+        });
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        sendError(res, error, 'Error creating bell schedule');
+    }
+});
+
+app.put('/api/bell-schedules/:id', validateRequest({ params: ID_PARAMS, body: BELL_SCHEDULE_FIELDS }), async (req, res) => {
+    try {
+        const result = await withTransaction(req, async client => {
+            const schedule = await parseBellScheduleInput(client, req.body, { partial: true });
+            const fields = Object.keys(schedule);
+
+            if (fields.length === 0) {
+                throw new HttpError(400, 'Nothing to update');
+            }
+
+            await lockBellScheduleForEdit(client, req.admin, req.params.id);
+
+            if (schedule.school) {
+                const denied = schoolPermissionError(req.admin, schedule.school);
+                if (denied) {
+                    throw new HttpError(403, denied);
+                }
+            }
+
+            return client.query(`
+                UPDATE bell_schedules
+                SET ${fields.map((field, index) => `${field} = $${index + 2}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING ${BELL_SCHEDULE_COLUMNS}
+            `, [req.params.id, ...fields.map(field => schedule[field])]).catch(error => {
+                throw bellScheduleConflict(error);
+            });
+        });
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        sendError(res, error, 'Error updating bell schedule');
+    }
+});
+
+app.delete('/api/bell-schedules/:id', validateRequest({ params: ID_PARAMS }), async (req, res) => {
+    try {
+        await withTransaction(req, async client => {
+            await lockBellScheduleForEdit(client, req.admin, req.params.id);
+            await client.query('DELETE FROM bell_schedules WHERE id = $1', [req.params.id]);
+        });
+
+        res.json({ success: true, id: parseInt(req.params.id) });
+    } catch (error) {
+        sendError(res, error, 'Error deleting bell schedule');
+    }
+});
+
+// Current and next period right now (or at ?at=<ISO timestamp>), in district time
+app.get('/api/now', validateRequest({ query: { ...REQUIRED_SCHOOL, at: { type: 'string', maxLength: 40 } } }), async (req, res) => {
+    try {
+        const { school, at } = req.query;
+
+        const schools = await loadSchools();
+
+        if (!schools.has(school)) {
+            return sendError(res, invalidField('school', unknownSchoolError(schools), 'query'));
+        }
+
+        const instant = at ? new Date(at) : new Date();
+
+        if (isNaN(instant.getTime())) {
+            return sendError(res, invalidField('at', 'at must be a valid timestamp', 'query'));
+        }
+
+        const { date, minutes } = zonedNow(instant);
+        const activePool = ensurePoolExists();
+        const client = await activePool.connect();
+        let day;
+        try {
+            day = await loadBellDay(client, school, date);
+        } finally {
+            client.release();
+        }
+
+        const periods = day.bell_schedule ? day.bell_schedule.periods : [];
+        const current = periods.find(period => minutesOf(period.start) <= minutes && minutes < minutesOf(period.end));
+        const next = periods.find(period => minutesOf(period.start) > minutes);
+
+        let status = 'no_school';
+        if (day.in_session && periods.length > 0) {
+            if (current) status = 'in_class';
+            else if (minutes < minutesOf(periods[0].start)) status = 'before_school';
+            else if (next) status = 'passing';
+            else status = 'after_school';
+        }
+
+        res.json({
+            school,
+            date,
+            time: formatMinutes(minutes),
+            letter: day.letter,
+            day_type: day.day_type,
+            in_session: day.in_session,
+            status,
+            bell_schedule: day.bell_schedule && { id: day.bell_schedule.id, name: day.bell_schedule.name },
+            current_period: current ? {
+                ...current,
+                minutes_remaining: minutesOf(current.end) - minutes
+            } : null,
+            next_period: next ? {
+                ...next,
+                minutes_until: minutesOf(next.start) - minutes
+            } : null
+        });
+    } catch (error) {
+        sendError(res, error, 'Error computing current period');
+    }
+});
+
+// Events Routes
+// One page of a school's events, optionally limited to some departments (lowercase
+// names). Recurring series are expanded into one entry per occurrence; each
+// occurrence keeps the series id and carries its own occurrence_date.
+async function listEvents(activePool, school, departments, options) {
+    const conditions = ['school = $1', 'deleted_at IS NULL'];
+    const params = [school];
+
+    if (departments.length) {
+        params.push(departments);
+        conditions.push(`LOWER(department) = ANY($${params.length})`);
+    }
+
+    // Unbounded series are expanded up to a year past today (or past `from`)
+    const today = todayString();
+    const horizon = options.to || addDays(options.from && options.from > today ? options.from : today, RECURRENCE_HORIZON_DAYS);
+    const seriesConditions = [...conditions, 'rrule IS NOT NULL', `date <= $${params.length + 1}`];
+    const seriesParams = [...params, horizon];
+
+    conditions.push('rrule IS NULL');
+    addDateRange(conditions, params, options);
+    addCursor(conditions, params, options, EVENT_SORT_KEY, ['date', 'time', 'int']);
+
+    const client = await activePool.connect();
+    let events;
+
+    try {
+        const singles = await client.query(
+            `SELECT ${EVENT_COLUMNS} FROM events WHERE ${conditions.join(' AND ')} ORDER BY ${EVENT_SORT_KEY}${addLimit(params, options)}`,
+            params
+        );
+        const series = await client.query(
+            `SELECT ${EVENT_COLUMNS} FROM events WHERE ${seriesConditions.join(' AND ')}`,
+            seriesParams
+        );
+        const occurrences = await expandEventSeries(client, series.rows, { from: options.from, to: horizon });
+
+        events = [
+            ...singles.rows.map(serializeEvent),
+            ...occurrences.filter(occurrence => !options.cursor || compareSortKeys(eventSortKey(occurrence), options.cursor) > 0)
+        ].sort((a, b) => compareSortKeys(eventSortKey(a), eventSortKey(b)));
+    } finally {
+        client.release();
+    }
+
+    return events;
+}
+
+// ?department= takes a comma-separated list of department names
+app.get('/api/events', validateRequest({ query: { ...REQUIRED_SCHOOL, ...LIST_QUERY, ...SCHOOL_YEAR_QUERY, department: { type: 'string' } } }), async (req, res) => {
+    try {
+        const activePool = ensurePoolExists();
+        const { school } = req.query;
+
+        const schools = await loadSchools();
+
+        if (!schools.has(school)) {
+            return sendError(res, invalidField('school', unknownSchoolError(schools), 'query'));
+        }
+
+        const { error, options } = await parseYearListQuery(req.query, 3);
+
+        if (error) {
+            return sendError(res, error);
+        }
+
+        const departments = parseDepartmentList(req.query.department);
+        const events = await listEvents(activePool, school, departments, options);
+
+        sendList(res, events, options, event => event, eventSortKey);
+    } catch (error) {
+        sendError(res, error, 'Error fetching events');
+    }
+});
+
+app.post('/api/events', validateRequest({
+    body: {
+        ...EVENT_FIELDS,
+        ...REQUIRED_SCHOOL,
+        date: { type: 'date', required: true },
+        title: { ...EVENT_FIELDS.title, required: true }
+    }
+}), async (req, res) => {
+    try {
+        const { error, values } = validateEventInput(req.body, await loadSchools());
+
+        if (error) {
+            return sendError(res, error);
+        }
+
+        values.department = defaultDepartment(req.admin, values.department);
+        const denied = eventPermissionError(req.admin, values);
+
+        if (denied) {
+            return res.status(403).json({ error: denied });
+        }
+
+        const event = await withTransaction(req, async client => {
+            const result = await client.query(`
+                INSERT INTO events (school, date, title, department, time, description, rrule, exdates, ab_day)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                RETURNING ${EVENT_COLUMNS}
+            `, [
+                values.school, values.date, values.title, values.department, values.time, values.description,
+                values.rrule, values.exdates, values.ab_day
+            ]);
+
+            const created = serializeEvent(result.rows[0]);
+            await emitChange(client, req, 'event.created', { school: created.school, data: created });
+            return created;
+        });
+
+        res.json(event);
+    } catch (error) {
+        sendError(res, error, 'Error creating event');
+    }
+});
+
+app.post('/api/events/import', csvBody, validateRequest({ query: CSV_IMPORT_QUERY }), csvImportRoute('events'));
+
+// Read the scope and occurrence date for recurring edits/deletes from body or query,
+// both already checked against EDIT_SCOPE_FIELDS
+function parseEditScope(source, event, location) {
+    const scope = source.scope || 'series';
+
+    if (!event.rrule || scope === 'series') {
+        return { scope: 'series' };
+    }
+
+    if (!source.occurrence_date) {
+        return { error: invalidField('occurrence_date', 'occurrence_date is required for this scope', location) };
+    }
+
+    const occurrenceDate = formatDate(source.occurrence_date);
+
+    if (!isOccurrence(event, occurrenceDate)) {
+        return { error: invalidField('occurrence_date', 'occurrence_date is not an occurrence of this event', location) };
+    }
+
+    // Splitting at the first occurrence is the same as changing the whole series
+    if (scope === 'following' && occurrenceDate === formatDate(event.date)) {
+        return { scope: 'series' };
+    }
+
+    return { scope, occurrenceDate };
+}
+
+// PUT accepts scope=occurrence|following|series plus occurrence_date for recurring events.
+// With scope=occurrence, date moves that one occurrence to another day.
+app.put('/api/events/:id', validateRequest({
+    params: ID_PARAMS,
+    query: EDIT_SCOPE_FIELDS,
+    body: {
+        ...EVENT_FIELDS,
+        ...EDIT_SCOPE_FIELDS,
+        title: { ...EVENT_FIELDS.title, required: true },
+        date: { type: 'date' }
+    }
+}), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { title, department, time, description } = req.body;
+
+        const { error, input: recurrence } = parseRecurrenceInput(req.body);
+
+        if (error) {
+            return sendError(res, error);
+        }
+
+        const schools = await loadSchools();
+
+        const event = await withTransaction(req, async client => {
+            // Each scope ends with the row it produced, which is what subscribers are sent
+            const announce = async row => {
+                const updated = serializeEvent(row);
+                await emitChange(client, req, 'event.updated', { school: updated.school, data: updated });
+                return updated;
+            };
+
+            const existing = await client.query(
+                `SELECT ${EVENT_COLUMNS} FROM events WHERE id = $1 AND deleted_at IS NULL FOR UPDATE`,
+                [id]
+            );
+            const event = existing.rows[0];
+
+            if (!event) {
+                throw new HttpError(404, 'Event not found');
+            }
+
+            const requested = defaultDepartment(req.admin, department);
+            const eventDepartment = requested ? findDepartment(schools.get(event.school), requested) : null;
+
+            if (requested && !eventDepartment) {
+                throw invalidField('department', unknownDepartmentError(schools.get(event.school)));
+            }
+
+            const denied = eventPermissionError(req.admin, event)
+                || eventPermissionError(req.admin, { school: event.school, department: eventDepartment });
+
+            if (denied) {
+                throw new HttpError(403, denied);
+            }
+
+            const edit = parseEditScope({ ...req.query, ...req.body }, event, 'body');
+
+            if (edit.error) {
+                throw edit.error;
+            }
+
+            const fields = [title, eventDepartment, time || null, description || ''];
+
+            if (edit.scope === 'series') {
+                const rrule = recurrence.rrule !== undefined ? recurrence.rrule : event.rrule;
+                const exdates = recurrence.exdates !== undefined ? recurrence.exdates : event.exdates;
+                const abDay = recurrence.ab_day !== undefined ? recurrence.ab_day : event.ab_day;
+
+                if (abDay && !rrule) {
+                    throw invalidField(['ab_day', 'rrule'], 'ab_day requires an rrule');
+                }
+
+                const result = await client.query(`
+                    UPDATE events 
+                    SET title = $1, department = $2, time = $3, description = $4,
+                        rrule = $5, exdates = $6, ab_day = $7, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $8
+                    RETURNING ${EVENT_COLUMNS}
+                `, [...fields, rrule, exdates || [], abDay, id]);
+                return announce(result.rows[0]);
+            }
+
+            if (edit.scope === 'occurrence') {
+                // Exclude the occurrence from the series and store the edited copy on its own
+                await client.query(`
+                    UPDATE events SET exdates = array_append(exdates, $1::date), updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $2
+                `, [edit.occurrenceDate, id]);
+
+                const result = await client.query(`
+                    INSERT INTO events (school, date, title, department, time, description, series_id, recurrence_date)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                    RETURNING ${EVENT_COLUMNS}
+                `, [
+                    event.school, req.body.date ? formatDate(req.body.date) : edit.occurrenceDate,
+                    ...fields, event.id, edit.occurrenceDate
+                ]);
+                return announce(result.rows[0]);
+            }
+
+            // End the original series before the occurrence and start a new one from it
+            const { rule } = parseRRule(event.rrule);
+            const seriesStart = formatDate(event.date);
+            const earlier = expandRRule(rule, seriesStart, { to: addDays(edit.occurrenceDate, -1) }).length;
+            const exdates = serializeEvent(event).exdates;
+
+            await client.query(`
+                UPDATE events SET rrule = $1, exdates = $2, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $3
+            `, [truncateRule(event, edit.occurrenceDate), exdates.filter(d => d < edit.occurrenceDate), id]);
+
+            const rrule = recurrence.rrule !== undefined
+                ? recurrence.rrule
+                : formatRRule({ ...rule, count: rule.count ? rule.count - earlier : null });
+            const abDay = recurrence.ab_day !== undefined ? recurrence.ab_day : event.ab_day;
+
+            if (abDay && !rrule) {
+                throw invalidField(['ab_day', 'rrule'], 'ab_day requires an rrule');
+            }
+
+            const result = await client.query(`
+                INSERT INTO events (school, date, title, department, time, description, rrule, exdates, ab_day)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                RETURNING ${EVENT_COLUMNS}
+            `, [
+                event.school, edit.occurrenceDate, ...fields, rrule,
+                recurrence.exdates !== undefined ? recurrence.exdates : exdates.filter(d => d >= edit.occurrenceDate),
+                abDay
+            ]);
+
+            await client.query(`
+                UPDATE events SET series_id = $1 WHERE series_id = $2 AND recurrence_date >= $3
+            `, [result.rows[0].id, id, edit.occurrenceDate]);
+
+            return announce(result.rows[0]);
+        });
+
+        res.json(event);
+    } catch (error) {
+        sendError(res, error, 'Error updating event');
+    }
+});
+
+// DELETE accepts ?scope=occurrence|following|series&occurrence_date= for recurring events
+app.delete('/api/events/:id', validateRequest({ params: ID_PARAMS, query: EDIT_SCOPE_FIELDS }), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const deleted = await withTransaction(req, async client => {
+            const existing = await client.query(
+                `SELECT ${EVENT_COLUMNS} FROM events WHERE id = $1 AND deleted_at IS NULL FOR UPDATE`,
+                [id]
+            );
+            const event = existing.rows[0];
+
+            if (!event) {
+                throw new HttpError(404, 'Event not found');
+            }
+
+            const denied = eventPermissionError(req.admin, event);
+
+            if (denied) {
+                throw new HttpError(403, denied);
+            }
+
+            const scope = parseEditScope(req.query, event, 'query');
+
+            if (scope.error) {
+                throw scope.error;
+            }
+
+            if (scope.scope === 'series') {
+                // Edited occurrences go to the trash along with their series
+                await client.query(`
+                    UPDATE events SET deleted_at = CURRENT_TIMESTAMP
+                    WHERE (id = $1 OR series_id = $1) AND deleted_at IS NULL
+                `, [id]);
+            } else if (scope.scope === 'occurrence') {
+                await client.query(`
+                    UPDATE events SET exdates = array_append(exdates, $1::date), updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $2
+                `, [scope.occurrenceDate, id]);
+            } else {
+                const exdates = serializeEvent(event).exdates;
+                await client.query(`
+                    UPDATE events SET rrule = $1, exdates = $2, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $3
+                `, [truncateRule(event, scope.occurrenceDate), exdates.filter(d => d < scope.occurrenceDate), id]);
+                await client.query(`
+                    UPDATE events SET deleted_at = CURRENT_TIMESTAMP
+                    WHERE series_id = $1 AND recurrence_date >= $2 AND deleted_at IS NULL
+                `, [id, scope.occurrenceDate]);
+            }
+
+            const deleted = {
+                id: parseInt(id),
+                scope: scope.scope,
+                occurrence_date: scope.occurrenceDate || null
+            };
+            await emitChange(client, req, 'event.deleted', { school: event.school, data: deleted });
+            return deleted;
+        });
+
+        res.json({ success: true, ...deleted });
+    } catch (error) {
+        sendError(res, error, 'Error deleting event');
+    }
+});
+
+// Materials Routes
+app.get('/api/materials', validateRequest({ query: { ...REQUIRED_SCHOOL, ...LIST_QUERY, ...SCHOOL_YEAR_QUERY, grade_level: { type: 'integer', min: 0, max: 12 } } }), async (req, res) => {
+    try {
+        const activePool = ensurePoolExists();
+        const { school, grade_level } = req.query;
+
+        const schools = await loadSchools();
+
+        if (!schools.has(school)) {
+            return sendError(res, invalidField('school', unknownSchoolError(schools), 'query'));
+        }
+
+        if (grade_level !== undefined && !isGradeInRange(schools.get(school), grade_level)) {
+            return sendError(res, invalidField('grade_level', gradeRangeError(schools.get(school)), 'query'));
+        }
+
+        const { error, options } = await parseYearListQuery(req.query, 3);
+
+        if (error) {
+            return sendError(res, error);
+        }
+
+        const conditions = ['school = $1', 'deleted_at IS NULL'];
+        const params = [school];
+        addDateRange(conditions, params, options);
+
+        if (grade_level !== undefined) {
+            params.push(Number(grade_level));
+            conditions.push(`grade_level = $${params.length}`);
+        }
+
+        addCursor(conditions, params, options, MATERIAL_SORT_KEY, ['date', 'int', 'int']);
+
+        const client = await activePool.connect();
+        const result = await client.query(
+            `SELECT ${MATERIAL_COLUMNS} FROM materials WHERE ${conditions.join(' AND ')} ORDER BY ${MATERIAL_SORT_KEY}${addLimit(params, options)}`,
+            params
+        );
+        client.release();
+
+        sendList(res, result.rows, options, row => serializeMaterial(row, !!req.admin), row => [
+            formatDate(row.date), row.grade_level, row.id
+        ]);
+    } catch (error) {
+        sendError(res, error, 'Error fetching materials');
+    }
+});
+
+// JSON, or a multipart form with the same fields plus an optional "file" part
+app.post('/api/materials', parseMaterialUpload, validateRequest({
+    body: {
+        ...MATERIAL_FIELDS,
+        ...REQUIRED_SCHOOL,
+        date: { type: 'date', required: true },
+        grade_level: { type: 'integer', required: true, min: 0, max: 12 }
+    }
+}), async (req, res) => {
+    try {
+        const { error, values } = validateMaterialInput(req.body, await loadSchools(), { hasFile: !!req.file });
+
+        if (error) {
+            return sendError(res, error);
+        }
+
+        const upload = req.file ? parseMaterialFile(req.file) : {};
+
+        if (upload.error) {
+            return sendError(res, upload.error);
+        }
+
+        const denied = schoolPermissionError(req.admin, values.school);
+
+        if (denied) {
+            return res.status(403).json({ error: denied });
+        }
+
+        const { password } = req.body;
+        const passwordHash = password ? await hashPassword(password) : null;
+        const stored = upload.file ? await storeMaterialFile(upload.file) : {};
+
+        const result = await withTransaction(req, async client => {
+            const inserted = await client.query(`
+                INSERT INTO materials (school, date, grade_level, title, link, description, password_hash,
+                                       file_key, file_name, file_type, file_size, carry_forward)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+                RETURNING ${MATERIAL_COLUMNS}
+            `, [
+                values.school, values.date, values.grade_level, values.title, values.link, values.description,
+                passwordHash, stored.file_key || null, stored.file_name || null, stored.file_type || null,
+                stored.file_size || null, values.carry_forward
+            ]);
+
+            await emitChange(client, req, 'material.created', { school: values.school, data: serializeMaterial(inserted.rows[0]) });
+            return inserted;
+        }).catch(async error => {
+            if (stored.file_key) await discardStoredFile(stored.file_key);
+            throw error;
+        });
+
+        res.json(serializeMaterial(result.rows[0], true));
+    } catch (error) {
+        sendError(res, error, 'Error creating material');
+    }
+});
+
+app.post('/api/materials/import', csvBody, validateRequest({ query: CSV_IMPORT_QUERY }), csvImportRoute('materials'));
+
+// Lock a live material and check the account may change it
+async function lockMaterialForEdit(client, admin, id) {
+    const result = await client.query(
+        `SELECT ${MATERIAL_COLUMNS} FROM materials WHERE id = $1 AND deleted_at IS NULL FOR UPDATE`,
+        [id]
+    );
+
+    if (result.rows.length === 0) {
+        throw new HttpError(404, 'Material not found');
+    }
+
+    const denied = schoolPermissionError(admin, result.rows[0].school);
+    if (denied) {
+        throw new HttpError(403, denied);
+    }
+    return result.rows[0];
+}
+
+// Omitting password (or sending null) keeps the current one; an empty string removes it.
+// Omitting carry_forward keeps it as it is.
+// A multipart "file" part replaces the current file and remove_file=true drops it;
+// the material must still have a link or a file afterwards.
+app.put('/api/materials/:id', parseMaterialUpload, validateRequest({
+    params: ID_PARAMS,
+    body: { ...MATERIAL_FIELDS, remove_file: { type: 'boolean' } }
+}), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { title, link, description, password } = req.body;
+        const removeFile = parseBooleanParam(req.body.remove_file, false);
+        const carryForward = parseBooleanParam(req.body.carry_forward, null);
+
+        const upload = req.file ? parseMaterialFile(req.file) : {};
+
+        if (upload.error) {
+            return sendError(res, upload.error);
+        }
+
+        const changePassword = password !== undefined && password !== null;
+        const passwordHash = changePassword && password ? await hashPassword(password) : null;
+        const stored = upload.file ? await storeMaterialFile(upload.file) : null;
+
+        const result = await withTransaction(req, async client => {
+            const current = await lockMaterialForEdit(client, req.admin, id);
+            const file = stored || (removeFile ? {} : current);
+
+            if (!link && !file.file_key) {
+                throw invalidField(['link', 'file'], 'A link or a file is required');
+            }
+
+            const updated = await client.query(`
+                UPDATE materials 
+                SET title = $1, link = $2, description = $3,
+                    password_hash = CASE WHEN $4::boolean THEN $5 ELSE password_hash END,
+                    file_key = $7, file_name = $8, file_type = $9, file_size = $10,
+                    carry_forward = COALESCE($11, carry_forward),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $6
+                RETURNING ${MATERIAL_COLUMNS}
+            `, [
+                title, link || null, description || '', changePassword, passwordHash, id,
+                file.file_key || null, file.file_name || null, file.file_type || null, file.file_size || null,
+                carryForward
+            ]);
+
+            await emitChange(client, req, 'material.updated', {
+                school: updated.rows[0].school,
+                data: serializeMaterial(updated.rows[0])
+            });
+            return updated;
+        }).catch(async error => {
+            if (stored) await discardStoredFile(stored.file_key);
+            throw error;
+        });
+
+        res.json(serializeMaterial(result.rows[0], true));
+    } catch (error) {
+        sendError(res, error, 'Error updating material');
+    }
+});
+
+app.post('/api/materials/:id/unlock', validateRequest({ params: ID_PARAMS, body: { password: { type: 'string' } } }), async (req, res) => {
+    try {
+        const activePool = ensurePoolExists();
+        const { id } = req.params;
+        const { password } = req.body;
+
+        const retryAfter = await unlockRetryAfter(activePool, req.ip, id);
+        if (retryAfter > 0) {
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({ error: 'Too many attempts. Try again later.', retryAfter });
+        }
+
+        const client = await activePool.connect();
+
+        try {
+            const result = await client.query(
+                'SELECT id, link, password_hash, file_key FROM materials WHERE id = $1 AND deleted_at IS NULL',
+                [id]
+            );
+            const material = result.rows[0];
+
+            if (!material) {
+                return res.status(404).json({ error: 'Material not found' });
+            }
+
+            if (material.password_hash) {
+                if (!password || !(await verifyPassword(password, material.password_hash))) {
+                    await recordFailedUnlock(client, req.ip, material.id);
+                    return res.status(401).json({ error: 'Incorrect password' });
+                }
+            }
+
+            await client.query('DELETE FROM unlock_attempts WHERE ip = $1 AND material_id = $2', [req.ip, material.id]);
+            res.json({
+                success: true,
+                id: material.id,
+                link: material.link,
+                file_url: material.file_key
+                    ? `/api/materials/${material.id}/file${material.password_hash ? `?token=${createFileToken(material)}` : ''}`
+                    : null
+            });
+        } finally {
+            client.release();
+        }
+    } catch (error) {
+        sendError(res, error, 'Error unlocking material');
+    }
+});
+
+// Protected materials need the token from unlock unless an admin is signed in
+app.get('/api/materials/:id/file', validateRequest({
+    params: ID_PARAMS,
+    query: { token: { type: 'string', maxLength: 200 } }
+}), async (req, res) => {
+    try {
+        const activePool = ensurePoolExists();
+        const result = await activePool.query(
+            `SELECT ${MATERIAL_COLUMNS} FROM materials WHERE id = $1 AND deleted_at IS NULL`,
+            [req.params.id]
+        );
+        const material = result.rows[0];
+
+        if (!material || !material.file_key) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        const isProtected = !!material.password_hash;
+
+        if (isProtected && !req.admin && !isValidFileToken(material, req.query.token)) {
+            return res.status(401).json({ error: 'Unlock this material to download its file' });
+        }
+
+        const stored = await getFileStorage().get(material.file_key);
+
+        if (!stored) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        const disposition = INLINE_FILE_TYPES.includes(material.file_type) ? 'inline' : 'attachment';
+        const filename = encodeURIComponent(material.file_name).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+        res.set({
+            'Content-Type': material.file_type,
+            'Content-Disposition': `${disposition}; filename*=UTF-8''${filename}`,
+            'X-Content-Type-Options': 'nosniff',
+            'Cache-Control': isProtected ? 'private, no-store' : 'public, max-age=300'
+        });
+        if (stored.size !== undefined) res.set('Content-Length', String(stored.size));
+
+        stored.stream.on('error', error => {
+            logError('Error streaming material file', error, req.log);
+            res.destroy(error);
+        });
+        stored.stream.pipe(res);
+    } catch (error) {
+        sendError(res, error, 'Error downloading material file');
+    }
+});
+
+// Soft delete: the file stays in storage until the material is purged from the trash
+app.delete('/api/materials/:id', validateRequest({ params: ID_PARAMS }), async (req, res) => {
+    try {
+        const { id } = req.params;
+        await withTransaction(req, async client => {
+            await lockMaterialForEdit(client, req.admin, id);
+
+            const deleted = await client.query(
+                'UPDATE materials SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING id, school',
+                [id]
+            );
+
+            await emitChange(client, req, 'material.deleted', { school: deleted.rows[0].school, data: { id: parseInt(id) } });
+        });
+
+        res.json({ success: true, id: parseInt(id) });
+    } catch (error) {
+        sendError(res, error, 'Error deleting material');
+    }
+});
+
+// Search Routes
+// Same expressions as the indexes in migrations/011_search.sql; protected materials
+// are searchable by title only
+const EVENT_SEARCH_VECTOR = `(
+    setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(department, '')), 'B') ||
+    setweight(to_tsvector('english', COALESCE(description, '')), 'C')
+)`;
+const MATERIAL_SEARCH_VECTOR = `(
+    CASE WHEN password_hash IS NOT NULL
+        THEN setweight(to_tsvector('english', COALESCE(title, '')), 'A')
+        ELSE setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+             setweight(to_tsvector('english', COALESCE(description, '')), 'C')
+    END
+)`;
+const SEARCH_TYPES = ['events', 'materials'];
+const DEFAULT_SEARCH_LIMIT = 50;
+
+// Every word must prefix-match a word in the document, so "ap bio packet" finds
+// "AP Biology review packets"; stemming and stop words follow the english config
+function searchTerms(q) {
+    const words = q.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    return words.map(word => `${word}:*`).join(' & ');
+}
+
+// Ranked matches from both tables. Recurring events appear once, dated to their
+// next occurrence in range (or their last one if they have all passed).
+app.get('/api/search', validateRequest({
+    query: {
+        ...REQUIRED_SCHOOL,
+        q: { type: 'string', required: true, maxLength: 200 },
+        from: { type: 'date' },
+        to: { type: 'date' },
+        grade_level: { type: 'integer', min: 0, max: 12 },
+        type: { type: 'string', values: SEARCH_TYPES },
+        limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE }
+    }
+}), async (req, res) => {
+    try {
+        const { school, q, grade_level } = req.query;
+        const schools = await loadSchools();
+
+        if (!schools.has(school)) {
+            return sendError(res, invalidField('school', unknownSchoolError(schools), 'query'));
+        }
+
+        if (grade_level !== undefined && !isGradeInRange(schools.get(school), grade_level)) {
+            return sendError(res, invalidField('grade_level', gradeRangeError(schools.get(school)), 'query'));
+        }
+
+        const { error, options } = parseListQuery({ from: req.query.from, to: req.query.to, limit: req.query.limit }, 1);
+
+        if (error) {
+            return sendError(res, error);
+        }
+
+        const terms = searchTerms(q);
+
+        if (!terms) {
+            return sendError(res, invalidField('q', 'q must contain at least one word', 'query'));
+        }
+
+        const limit = options.limit || DEFAULT_SEARCH_LIMIT;
+        const types = req.query.type ? [req.query.type] : SEARCH_TYPES;
+        const today = todayString();
+        const results = [];
+
+        const activePool = ensurePoolExists();
+        const client = await activePool.connect();
+
+        try {
+            if (types.includes('events')) {
+                const horizon = options.to || addDays(options.from && options.from > today ? options.from : today, RECURRENCE_HORIZON_DAYS);
+                const found = await client.query(`
+                    SELECT ${EVENT_COLUMNS}, ts_rank(${EVENT_SEARCH_VECTOR}, query) AS rank
+                    FROM events, to_tsquery('english', $2) query
+                    WHERE school = $1 AND deleted_at IS NULL AND ${EVENT_SEARCH_VECTOR} @@ query
+                      AND ((rrule IS NULL AND ($3::date IS NULL OR date >= $3) AND ($4::date IS NULL OR date <= $4))
+                           OR (rrule IS NOT NULL AND date <= $5))
+                    ORDER BY rank DESC, date
+                    LIMIT $6
+                `, [school, terms, options.from, options.to, horizon, limit]);
+
+                for (const { rank, ...row } of found.rows) {
+                    let event = serializeEvent(row);
+
+                    if (row.rrule) {
+                        const occurrences = await expandEventSeries(client, [row], { from: options.from, to: horizon });
+                        if (occurrences.length === 0) continue;
+                        event = occurrences.find(occurrence => occurrence.date >= today) || occurrences[occurrences.length - 1];
+                    }
+
+                    results.push({ type: 'event', rank, ...event });
+                }
+            }
+
+            if (types.includes('materials')) {
+                const conditions = ['school = $1', 'deleted_at IS NULL', `${MATERIAL_SEARCH_VECTOR} @@ query`];
+                const params = [school, terms];
+                addDateRange(conditions, params, options);
+
+                if (grade_level !== undefined) {
+                    params.push(Number(grade_level));
+                    conditions.push(`grade_level = $${params.length}`);
+                }
+
+                params.push(limit);
+                const found = await client.query(`
+                    SELECT ${MATERIAL_COLUMNS}, ts_rank(${MATERIAL_SEARCH_VECTOR}, query) AS rank
+                    FROM materials, to_tsquery('english', $2) query
+                    WHERE ${conditions.join(' AND ')}
+                    ORDER BY rank DESC, date
+                    LIMIT $${params.length}
+                `, params);
+
+                for (const { rank, ...row } of found.rows) {
+                    results.push({ type: 'material', rank, ...serializeMaterial(row, !!req.admin) });
+                }
+            }
+        } finally {
+            client.release();
+        }
+
+        results.sort((a, b) => b.rank - a.rank || a.date.localeCompare(b.date));
+
+        res.json({
+            school,
+            q,
+            results: results.slice(0, limit)
+        });
+    } catch (error) {
+        sendError(res, error, 'Error searching');
+    }
+});
+
+// Live Update Routes
+// Server-Sent Events. Each message's data is {type, school, occurred_at, data}
+// with the same data as the webhook payloads; the SSE id lets EventSource resume
+// with Last-Event-ID after a dropped connection. A "reset" event means changes
+// were missed and the client should reload.
+app.get('/api/stream', validateRequest({
+    query: {
+        ...SCHOOL_FILTER,
+        last_event_id: { type: 'integer', min: 0 }
+    }
+}), async (req, res) => {
+    try {
+        const { school } = req.query;
+        ensurePoolExists();
+
+        if (school) {
+            const schools = await loadSchools();
+
+            if (!schools.has(school)) {
+                return sendError(res, invalidField('school', unknownSchoolError(schools), 'query'));
+            }
+        }
+
+        // EventSource sends the header on reconnects; the query parameter covers the first connection
+        const header = req.get('Last-Event-ID');
+        const lastEventId = /^\d+$/.test(header || '') ? Number(header) : req.query.last_event_id;
+
+        await changeStream.subscribe(res, {
+            school: school || null,
+            lastEventId: lastEventId === undefined ? null : lastEventId
+        });
+    } catch (error) {
+        sendError(res, error, 'Error opening change stream');
+    }
+});
+
+// Calendar Feed Routes
+// Longest range GET /api/calendar returns in one response
+const MAX_CALENDAR_DAYS = 366;
+
+// One entry per date with its letter, day type, events and materials grouped by grade.
+// Everything comes from a single query; recurring series are expanded afterwards.
+app.get('/api/calendar', validateRequest({ query: { ...REQUIRED_SCHOOL, from: { type: 'date', required: true }, to: { type: 'date', required: true } } }), async (req, res) => {
+    try {
+        const { school } = req.query;
+        const from = formatDate(req.query.from);
+        const to = formatDate(req.query.to);
+
+        if (from > to) {
+            return sendError(res, invalidField(['from', 'to'], 'from must be on or before to', 'query'));
+        }
+
+        if (addDays(from, MAX_CALENDAR_DAYS - 1) < to) {
+            return sendError(res, invalidField('to', `Range must be at most ${MAX_CALENDAR_DAYS} days`, 'query'));
+        }
+
+        const activePool = ensurePoolExists();
+        const result = await activePool.query(`
+            SELECT
+                (SELECT COALESCE(jsonb_agg(code ORDER BY code), '[]'::jsonb) FROM schools) AS school_codes,
+                (SELECT COALESCE(jsonb_agg(jsonb_build_object('date', date, 'schedule', schedule)), '[]'::jsonb)
+                 FROM (${schoolDaySchedulesSql('$1')}) s
+                 WHERE schedule IS NOT NULL AND date BETWEEN $2 AND $3) AS letters,
+                (SELECT COALESCE(jsonb_agg(jsonb_build_object('date', t.date, 'definition', to_jsonb(d))), '[]'::jsonb)
+                 FROM (${schoolDayTypesSql('$1')}) t
+                 JOIN day_type_definitions d ON d.key = t.type
+                 WHERE t.date BETWEEN $2 AND $3) AS day_types,
+                (SELECT COALESCE(jsonb_agg(to_jsonb(e)), '[]'::jsonb) FROM (
+                    SELECT ${EVENT_COLUMNS} FROM events
+                    WHERE school = $1 AND deleted_at IS NULL
+                      AND ((rrule IS NULL AND date BETWEEN $2 AND $3) OR (rrule IS NOT NULL AND date <= $3))
+                ) e) AS events,
+                (SELECT COALESCE(jsonb_agg(to_jsonb(m)), '[]'::jsonb) FROM (
+                    SELECT date, grade_level, COUNT(*)::int AS count,
+                           jsonb_agg(jsonb_build_object(
+                               'id', id,
+                               'title', title,
+                               'protected', COALESCE(password_hash, '') <> ''
+                           ) ORDER BY title, id) AS items
+                    FROM materials
+                    WHERE school = $1 AND deleted_at IS NULL AND date BETWEEN $2 AND $3
+                    GROUP BY date, grade_level
+                ) m) AS materials
+        `, [school, from, to]);
+        const data = result.rows[0];
+
+        if (!data.school_codes.includes(school)) {
+            return sendError(res, invalidField('school', unknownSchoolError(new Set(data.school_codes)), 'query'));
+        }
+
+        // Rebuild rows as /api/events returns them: column order, and Date timestamps
+        // instead of the strings JSON aggregation produces
+        const columns = EVENT_COLUMNS.split(', ');
+        const rows = data.events.map(row => ({
+            ...Object.fromEntries(columns.map(column => [column, row[column]])),
+            created_at: new Date(row.created_at),
+            updated_at: new Date(row.updated_at)
+        }));
+        const letters = new Map(data.letters.map(row => [row.date, row.schedule]));
+        const dayTypes = new Map(data.day_types.map(row => [row.date, serializeDayTypeDefinition(row.definition)]));
+        const occurrences = expandSeries(rows.filter(row => row.rrule), { from, to })
+            .filter(occurrence => !occurrence.ab_day || letters.get(occurrence.date) === occurrence.ab_day);
+
+        const eventsByDate = new Map();
+        for (const event of [...rows.filter(row => !row.rrule).map(serializeEvent), ...occurrences]) {
+            if (!eventsByDate.has(event.date)) eventsByDate.set(event.date, []);
+            eventsByDate.get(event.date).push(event);
+        }
+
+        const materialsByDate = new Map();
+        for (const group of data.materials) {
+            if (!materialsByDate.has(group.date)) materialsByDate.set(group.date, []);
+            materialsByDate.get(group.date).push({ grade_level: group.grade_level, count: group.count, items: group.items });
+        }
+
+        const days = [];
+        for (let date = from; date <= to; date = addDays(date, 1)) {
+            const weekday = weekdayOf(date);
+            const dayType = dayTypes.get(date) || null;
+
+            days.push({
+                date,
+                letter: letters.get(date) || null,
+                day_type: dayType,
+                in_session: dayType ? dayType.in_session : weekday !== 0 && weekday !== 6,
+                events: (eventsByDate.get(date) || []).sort((a, b) => compareSortKeys(eventSortKey(a), eventSortKey(b))),
+                materials: (materialsByDate.get(date) || []).sort((a, b) => a.grade_level - b.grade_level)
+            });
+        }
+
+        res.json({ school, from, to, days });
+    } catch (error) {
+        sendError(res, error, 'Error building calendar');
+    }
+});
+
+const ICS_FEED_QUERY = { ab_days: { type: 'boolean' }, day_types: { type: 'boolean' } };
+
+// Send an ICS feed of a school's events, limited to some departments (lowercase
+// names) if given, plus its A/B letters and day types as ?ab_days and ?day_types
+// ask, defaulting to both
+async function sendCalendarFeed(req, res, { school, departments, name, filename, defaults = {} }) {
+    const activePool = ensurePoolExists();
+    const includeAbDays = parseBooleanParam(req.query.ab_days, defaults.abDays !== false);
+    const includeDayTypes = parseBooleanParam(req.query.day_types, defaults.dayTypes !== false);
+
+    const client = await activePool.connect();
+    let events, schedules, types;
+
+    try {
+        const result = await client.query(`
+            SELECT ${EVENT_COLUMNS}
+            FROM events
+            WHERE school = $1 AND deleted_at IS NULL AND ($2::text[] IS NULL OR LOWER(department) = ANY($2))
+            ORDER BY date, time, id
+        `, [school, departments.length ? departments : null]);
+
+        // Recurring series become one entry per occurrence within a year either side of today
+        const today = todayString();
+        const occurrences = await expandEventSeries(client, result.rows.filter(row => row.rrule), {
+            from: addDays(today, -RECURRENCE_HORIZON_DAYS),
+            to: addDays(today, RECURRENCE_HORIZON_DAYS)
+        });
+
+        events = [
+            ...result.rows.filter(row => !row.rrule).map(serializeEvent),
+            ...occurrences
+        ];
+
+        schedules = includeAbDays
+            ? await client.query(`
+                SELECT date, schedule, updated_at FROM (${schoolDaySchedulesSql('$1')}) s
+                WHERE schedule IS NOT NULL
+                ORDER BY date
+            `, [school])
+            : { rows: [] };
+
+        types = includeDayTypes
+            ? await client.query(`
+                SELECT t.date, COALESCE(d.label, t.type) AS label, t.updated_at
+                FROM (${schoolDayTypesSql('$1')}) t
+                LEFT JOIN day_type_definitions d ON d.key = t.type
+                WHERE t.type IS NOT NULL
+                ORDER BY t.date
+            `, [school])
+            : { rows: [] };
+    } finally {
+        client.release();
+    }
+
+    const eventLines = [];
+
+    for (const row of schedules.rows) {
+        const date = formatDate(row.date);
+        eventLines.push(...buildIcsEvent({
+            uid: `ab-${date}`,
+            date,
+            summary: `${row.schedule} Day`,
+            updatedAt: row.updated_at
+        }));
+    }
+
+    for (const row of types.rows) {
+        const date = formatDate(row.date);
+        eventLines.push(...buildIcsEvent({
+            uid: `day-type-${date}`,
+            date,
+            summary: row.label,
+            updatedAt: row.updated_at
+        }));
+    }
+
+    for (const event of events) {
+        eventLines.push(...buildIcsEvent({
+            uid: event.occurrence_date ? `event-${event.id}-${icsDate(event.occurrence_date)}` : `event-${event.id}`,
+            date: event.date,
+            time: event.time,
+            summary: event.title,
+            description: event.description,
+            categories: event.department,
+            updatedAt: event.updated_at
+        }));
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="${filename}.ics"`);
+    res.send(buildIcsCalendar(name, eventLines));
+}
+
+app.get('/api/calendar/:school.ics', validateRequest({
+    query: { ...ICS_FEED_QUERY, department: { type: 'string' } }
+}), async (req, res) => {
+    try {
+        const { school } = req.params;
+
+        const schools = await loadSchools();
+
+        if (!schools.has(school)) {
+            return sendError(res, invalidField('school', unknownSchoolError(schools), 'params'));
+        }
+
+        const departments = parseDepartmentList(req.query.department);
+
+        await sendCalendarFeed(req, res, { school, departments, name: `${school.toUpperCase()} Calendar`, filename: school });
+    } catch (error) {
+        sendError(res, error, 'Error building calendar feed');
+    }
+});
+
+// Department Routes
+const DEPARTMENT_COLUMNS = 'id, school, name, color, contact_email, created_at, updated_at';
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DEPARTMENT_FIELDS = {
+    name: { type: 'string', maxLength: 50 },
+    color: { type: 'string', pattern: COLOR_PATTERN, patternMessage: 'must be a hex color such as #1e88e5', nullable: true },
+    contact_email: { type: 'string', maxLength: 255, pattern: EMAIL_PATTERN, patternMessage: 'must be an email address', nullable: true }
+};
+
+// Postgres errors a department write can hit, as client errors
+function departmentWriteError(error, name) {
+    if (error.code === '23505') return new HttpError(409, `Department ${name} already exists`);
+    if (error.code === '23503') return new HttpError(409, 'Department still has events or editor accounts, including events in the trash');
+    return error;
+}
+
+// Lock a department and check the account may change it
+async function lockDepartmentForEdit(client, admin, id) {
+    const result = await client.query(`SELECT ${DEPARTMENT_COLUMNS} FROM departments WHERE id = $1 FOR UPDATE`, [id]);
+
+    if (result.rows.length === 0) {
+        throw new HttpError(404, 'Department not found');
+    }
+
+    const denied = schoolPermissionError(admin, result.rows[0].school);
+    if (denied) {
+        throw new HttpError(403, denied);
+    }
+    return result.rows[0];
+}
+
+async function findDepartmentById(id) {
+    const activePool = ensurePoolExists();
+    const result = await activePool.query(`SELECT ${DEPARTMENT_COLUMNS} FROM departments WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+}
+
+app.get('/api/departments', validateRequest({ query: SCHOOL_FILTER }), async (req, res) => {
+    try {
+        const activePool = ensurePoolExists();
+        const result = await activePool.query(`
+            SELECT ${DEPARTMENT_COLUMNS} FROM departments
+            WHERE $1::varchar IS NULL OR school = $1
+            ORDER BY school, name
+        `, [req.query.school || null]);
+
+        res.json(result.rows);
+    } catch (error) {
+        sendError(res, error, 'Error fetching departments');
+    }
+});
+
+app.get('/api/departments/:id', validateRequest({ params: ID_PARAMS }), async (req, res) => {
+    try {
+        const department = await findDepartmentById(req.params.id);
+
+        if (!department) {
+            return res.status(404).json({ error: 'Department not found' });
+        }
+
+        res.json(department);
+    } catch (error) {
+        sendError(res, error, 'Error fetching department');
+    }
+});
+
+app.post('/api/departments', validateRequest({
+    body: { ...DEPARTMENT_FIELDS, ...REQUIRED_SCHOOL, name: { ...DEPARTMENT_FIELDS.name, required: true } }
+}), async (req, res) => {
+    try {
+        const { school, color, contact_email } = req.body;
+        const name = req.body.name.trim();
+        const schools = await loadSchools();
+
+        if (!schools.has(school)) {
+            return sendError(res, invalidField('school', unknownSchoolError(schools)));
+        }
+
+        const denied = schoolPermissionError(req.admin, school);
+
+        if (denied) {
+            return res.status(403).json({ error: denied });
+        }
+
+        const result = await withTransaction(req, client => client.query(`
+            INSERT INTO departments (school, name, color, contact_email)
+            VALUES ($1, $2, $3, $4)
+            RETURNING ${DEPARTMENT_COLUMNS}
+        `, [school, name, color || null, contact_email || null])).catch(error => {
+            throw departmentWriteError(error, name);
+        });
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        sendError(res, error, 'Error creating department');
+    }
+});
+
+// Renaming carries over to the department's events and editors
+app.put('/api/departments/:id', validateRequest({ params: ID_PARAMS, body: DEPARTMENT_FIELDS }), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const result = await withTransaction(req, async client => {
+            const current = await lockDepartmentForEdit(client, req.admin, id);
+            const department = { ...current };
+
+            for (const field of Object.keys(DEPARTMENT_FIELDS)) {
+                if (req.body[field] !== undefined) department[field] = req.body[field];
+            }
+            department.name = (department.name || current.name).trim();
+
+            return client.query(`
+                UPDATE departments
+                SET name = $2, color = $3, contact_email = $4, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING ${DEPARTMENT_COLUMNS}
+            `, [id, department.name, department.color || null, department.contact_email || null]).catch(error => {
+                throw departmentWriteError(error, department.name);
+            });
+        });
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        sendError(res, error, 'Error updating department');
+    }
+});
+
+// Refused while any event or editor account uses the department
+app.delete('/api/departments/:id', validateRequest({ params: ID_PARAMS }), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        await withTransaction(req, async client => {
+            const department = await lockDepartmentForEdit(client, req.admin, id);
+
+            await client.query('DELETE FROM departments WHERE id = $1', [id]).catch(error => {
+                throw departmentWriteError(error, department.name);
+            });
+        });
+
+        res.json({ success: true, id: parseInt(id) });
+    } catch (error) {
+        sendError(res, error, 'Error deleting department');
+    }
+});
+
+// The department's events as GET /api/events returns them, for embedding on its own pages
+app.get('/api/departments/:id/events', validateRequest({ params: ID_PARAMS, query: { ...LIST_QUERY, ...SCHOOL_YEAR_QUERY } }), async (req, res) => {
+    try {
+        const activePool = ensurePoolExists();
+        const department = await findDepartmentById(req.params.id);
+
+        if (!department) {
+            return res.status(404).json({ error: 'Department not found' });
+        }
+
+        const { error, options } = await parseYearListQuery(req.query, 3);
+
+        if (error) {
+            return sendError(res, error);
+        }
+
+        const events = await listEvents(activePool, department.school, [department.name.toLowerCase()], options);
+
+        sendList(res, events, options, event => event, eventSortKey);
+    } catch (error) {
+        sendError(res, error, 'Error fetching department events');
+    }
+});
+
+// Subscribable ICS feed of one department's events; A/B letters and day types are
+// left out unless ?ab_days=true or ?day_types=true
+app.get('/api/departments/:id/calendar.ics', validateRequest({ params: ID_PARAMS, query: ICS_FEED_QUERY }), async (req, res) => {
+    try {
+        const department = await findDepartmentById(req.params.id);
+
+        if (!department) {
+            return res.status(404).json({ error: 'Department not found' });
+        }
+
+        await sendCalendarFeed(req, res, {
+            school: department.school,
+            departments: [department.name.toLowerCase()],
+            name: `${department.school.toUpperCase()} ${department.name}`,
+            filename: `${department.school}-${department.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+            defaults: { abDays: false, dayTypes: false }
+        });
+    } catch (error) {
+        sendError(res, error, 'Error building department calendar feed');
+    }
+});
+
+// School Year Routes
+// Years are district-wide and may not overlap; terms (semesters, quarters) fall
+// within their year and may overlap each other
+const SCHOOL_YEAR_FIELDS = {
+    name: { type: 'string', maxLength: 50 },
+    start_date: { type: 'date' },
+    end_date: { type: 'date' }
+};
+const TERM_COLUMNS = 'id, school_year_id, name, start_date, end_date, created_at, updated_at';
+const TERM_PARAMS = { ...ID_PARAMS, termId: { type: 'integer', required: true, min: 1, max: 2147483647 } };
+const ROLLOVER_FIELDS = {
+    name: { ...SCHOOL_YEAR_FIELDS.name, required: true },
+    start_date: { type: 'date', required: true },
+    end_date: { type: 'date', required: true },
+    copy_terms: { type: 'boolean' },
+    copy_events: { type: 'boolean' },
+    copy_materials: { type: 'boolean' }
+};
+
+function serializeSchoolYear(row, current) {
+    return { ...row, archived: !!row.archived_at, current: !!current && current.id === row.id };
+}
+
+// Postgres errors a school year or term write can hit, as client errors
+function schoolYearWriteError(error, label) {
+    if (error.code === '23505') return new HttpError(409, `${label} already exists`);
+    if (error.code === '23P01') return new HttpError(409, 'School years cannot overlap');
+    return error;
+}
+
+async function lockSchoolYear(client, id) {
+    const result = await client.query(`SELECT ${SCHOOL_YEAR_COLUMNS} FROM school_years WHERE id = $1 FOR UPDATE`, [id]);
+
+    if (result.rows.length === 0) {
+        throw new HttpError(404, 'School year not found');
+    }
+    return result.rows[0];
+}
+
+// Validation error for a term's dates, or null if it fits inside its year
+function termDatesError(term, year) {
+    if (term.end_date < term.start_date) {
+        return invalidField(['start_date', 'end_date'], 'end_date must be on or after start_date');
+    }
+    if (term.start_date < year.start_date || term.end_date > year.end_date) {
+        return invalidField(['start_date', 'end_date'], `Terms must fall within ${year.name} (${year.start_date} to ${year.end_date})`);
+    }
+    return null;
+}
+
+// Days to move dates forward so they land on the same weekday, as near as
+// possible to the distance between the two start dates
+function weekdayAlignedOffset(from, to) {
+    const days = (new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000);
+    return Math.round(days / 7) * 7;
+}
+
+async function findSchoolYearById(id) {
+    const years = await loadSchoolYears();
+    const year = years.find(candidate => candidate.id === Number(id));
+    return year ? serializeSchoolYear(year, pickCurrentSchoolYear(years)) : null;
+}
+
+app.get('/api/school-years', async (req, res) => {
+    try {
+        const years = await loadSchoolYears();
+        const current = pickCurrentSchoolYear(years);
+
+        res.json(years.map(year => serializeSchoolYear(year, current)));
+    } catch (error) {
+        sendError(res, error, 'Error fetching school years');
+    }
+});
+
+app.get('/api/school-years/current', async (req, res) => {
+    try {
+        const current = pickCurrentSchoolYear(await loadSchoolYears());
+
+        if (!current) {
+            return res.status(404).json({ error: 'No school years have been set up' });
+        }
+
+        res.json(serializeSchoolYear(current, current));
+    } catch (error) {
+        sendError(res, error, 'Error fetching current school year');
+    }
+});
+
+app.get('/api/school-years/:id', validateRequest({ params: ID_PARAMS }), async (req, res) => {
+    try {
+        const year = await findSchoolYearById(req.params.id);
+
+        if (!year) {
+            return res.status(404).json({ error: 'School year not found' });
+        }
+
+        res.json(year);
+    } catch (error) {
+        sendError(res, error, 'Error fetching school year');
+    }
+});
+
+app.post('/api/school-years', validateRequest({
+    body: {
+        name: { ...SCHOOL_YEAR_FIELDS.name, required: true },
+        start_date: { type: 'date', required: true },
+        end_date: { type: 'date', required: true }
+    }
+}), async (req, res) => {
+    try {
+        const name = req.body.name.trim();
+        const startDate = formatDate(req.body.start_date);
+        const endDate = formatDate(req.body.end_date);
+
+        if (endDate <= startDate) {
+            return sendError(res, invalidField('end_date', 'end_date must be after start_date'));
+        }
+
+        const result = await withTransaction(req, client => client.query(`
+            INSERT INTO school_years (name, start_date, end_date)
+            VALUES ($1, $2, $3)
+            RETURNING id
+        `, [name, startDate, endDate])).catch(error => {
+            throw schoolYearWriteError(error, `School year ${name}`);
+        });
+
+        res.json(await findSchoolYearById(result.rows[0].id));
+    } catch (error) {
+        sendError(res, error, 'Error creating school year');
+    }
+});
+
+// archived=true freezes the year's calendar data; archived=false thaws it
+app.put('/api/school-years/:id', validateRequest({
+    params: ID_PARAMS,
+    body: { ...SCHOOL_YEAR_FIELDS, archived: { type: 'boolean' } }
+}), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        await withTransaction(req, async client => {
+            const current = await lockSchoolYear(client, id);
+            const year = {
+                name: req.body.name ? req.body.name.trim() : current.name,
+                start_date: req.body.start_date ? formatDate(req.body.start_date) : current.start_date,
+                end_date: req.body.end_date ? formatDate(req.body.end_date) : current.end_date
+            };
+            const archived = parseBooleanParam(req.body.archived, !!current.archived_at);
+
+            if (year.end_date <= year.start_date) {
+                throw invalidField(['start_date', 'end_date'], 'end_date must be after start_date');
+            }
+
+            const outside = await client.query(`
+                SELECT name FROM terms
+                WHERE school_year_id = $1 AND (start_date < $2 OR end_date > $3)
+                ORDER BY start_date LIMIT 1
+            `, [id, year.start_date, year.end_date]);
+
+            if (outside.rows.length > 0) {
+                throw invalidField(['start_date', 'end_date'], `Term ${outside.rows[0].name} would fall outside the school year`);
+            }
+
+            await client.query(`
+                UPDATE school_years
+                SET name = $2, start_date = $3, end_date = $4,
+                    archived_at = CASE WHEN $5::boolean THEN COALESCE(archived_at, CURRENT_TIMESTAMP) END,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+            `, [id, year.name, year.start_date, year.end_date, archived]).catch(error => {
+                throw schoolYearWriteError(error, `School year ${year.name}`);
+            });
+        });
+
+        res.json(await findSchoolYearById(id));
+    } catch (error) {
+        sendError(res, error, 'Error updating school year');
+    }
+});
+
+// Removes the year and its terms; the calendar data in it is kept
+app.delete('/api/school-years/:id', validateRequest({ params: ID_PARAMS }), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        await withTransaction(req, async client => {
+            const year = await lockSchoolYear(client, id);
+
+            if (year.archived_at) {
+                throw new HttpError(409, `Unarchive ${year.name} before deleting it`);
+            }
+
+            await client.query('DELETE FROM school_years WHERE id = $1', [id]);
+        });
+
+        res.json({ success: true, id: parseInt(id) });
+    } catch (error) {
+        sendError(res, error, 'Error deleting school year');
+    }
+});
+
+app.get('/api/school-years/:id/terms', validateRequest({ params: ID_PARAMS }), async (req, res) => {
+    try {
+        const year = await findSchoolYearById(req.params.id);
+
+        if (!year) {
+            return res.status(404).json({ error: 'School year not found' });
+        }
+
+        res.json(year.terms);
+    } catch (error) {
+        sendError(res, error, 'Error fetching terms');
+    }
+});
+
+app.post('/api/school-years/:id/terms', validateRequest({
+    params: ID_PARAMS,
+    body: {
+        name: { ...SCHOOL_YEAR_FIELDS.name, required: true },
+        start_date: { type: 'date', required: true },
+        end_date: { type: 'date', required: true }
+    }
+}), async (req, res) => {
+    try {
+        const term = {
+            name: req.body.name.trim(),
+            start_date: formatDate(req.body.start_date),
+            end_date: formatDate(req.body.end_date)
+        };
+
+        const result = await withTransaction(req, async client => {
+            const year = await lockSchoolYear(client, req.params.id);
+            const invalid = termDatesError(term, year);
+
+            if (invalid) {
+                throw invalid;
+            }
+
+            return client.query(`
+                INSERT INTO terms (school_year_id, name, start_date, end_date)
+                VALUES ($1, $2, $3, $4)
+                RETURNING ${TERM_COLUMNS}
+            `, [year.id, term.name, term.start_date, term.end_date]).catch(error => {
+                throw schoolYearWriteError(error, `Term ${term.name}`);
+            });
+        });
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        sendError(res, error, 'Error creating term');
+    }
+});
+
+app.put('/api/school-years/:id/terms/:termId', validateRequest({ params: TERM_PARAMS, body: SCHOOL_YEAR_FIELDS }), async (req, res) => {
+    try {
+        const { id, termId } = req.params;
+
+        const result = await withTransaction(req, async client => {
+            const year = await lockSchoolYear(client, id);
+            const existing = await client.query(
+                `SELECT ${TERM_COLUMNS} FROM terms WHERE id = $1 AND school_year_id = $2 FOR UPDATE`,
+                [termId, id]
+            );
+
+            if (existing.rows.length === 0) {
+                throw new HttpError(404, 'Term not found');
+            }
+
+            const current = existing.rows[0];
+            const term = {
+                name: req.body.name ? req.body.name.trim() : current.name,
+                start_date: req.body.start_date ? formatDate(req.body.start_date) : current.start_date,
+                end_date: req.body.end_date ? formatDate(req.body.end_date) : current.end_date
+            };
+            const invalid = termDatesError(term, year);
+
+            if (invalid) {
+                throw invalid;
+            }
+
+            return client.query(`
+                UPDATE terms SET name = $2, start_date = $3, end_date = $4, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING ${TERM_COLUMNS}
+            `, [termId, term.name, term.start_date, term.end_date]).catch(error => {
+                throw schoolYearWriteError(error, `Term ${term.name}`);
+            });
+        });
+
+        res.json(result.rows[0]);
+    } catch (error) {
+        sendError(res, error, 'Error updating term');
+    }
+});
+
+app.delete('/api/school-years/:id/terms/:termId', validateRequest({ params: TERM_PARAMS }), async (req, res) => {
+    try {
+        const { id, termId } = req.params;
+        const activePool = ensurePoolExists();
+        const result = await activePool.query('DELETE FROM terms WHERE id = $1 AND school_year_id = $2 RETURNING id', [termId, id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Term not found' });
+        }
+
+        res.json({ success: true, id: parseInt(termId) });
+    } catch (error) {
+        sendError(res, error, 'Error deleting term');
+    }
+});
+
+// How many times a series occurs up to and including `last`, counting dates removed
+// by exdates the way COUNT does
+function occurrencesThrough(series, rule, last) {
+    return expandRRule(rule, formatDate(series.date), { to: last }).length;
+}
+
+// Copy one recurring series into the next year, moved by offset days. Returns the
+// new row's id, or null when the series would start outside the new year. A COUNT
+// rule keeps only the occurrences that fell inside the previous year.
+async function copySeriesForward(client, series, offset, previous, year) {
+    const date = addDays(series.date, offset);
+    if (date < year.start_date || date > year.end_date) return null;
+
+    // Stored rules were validated on the way in
+    const { rule } = parseRRule(series.rrule);
+    if (rule.count) {
+        rule.count = occurrencesThrough(series, rule, previous.end_date);
+    } else if (rule.until) {
+        const until = addDays(rule.until, offset);
+        rule.until = until < year.end_date ? until : year.end_date;
+    } else {
+        rule.until = year.end_date;
+    }
+    const exdates = (series.exdates || [])
+        .map(exdate => addDays(formatDate(exdate), offset))
+        .filter(exdate => exdate >= date && (!rule.until || exdate <= rule.until));
+
+    const result = await client.query(`
+        INSERT INTO events (school, date, title, department, time, description, rrule, exdates, ab_day)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING id
+    `, [
+        series.school, date, series.title, series.department, series.time, series.description,
+        formatRRule(rule), exdates, series.ab_day
+    ]);
+    return result.rows[0].id;
+}
+
+// Start the next school year from this one: create it, optionally copy this year's
+// terms, recurring event series and carry_forward materials into it on the same
+// weekdays, then archive this year. Copied series replace the originals, which are
+// ended on this year's last day.
+app.post('/api/school-years/:id/rollover', validateRequest({ params: ID_PARAMS, body: ROLLOVER_FIELDS }), async (req, res) => {
+    try {
+        const name = req.body.name.trim();
+        const startDate = formatDate(req.body.start_date);
+        const endDate = formatDate(req.body.end_date);
+        const copyTerms = parseBooleanParam(req.body.copy_terms, true);
+        const copyEvents = parseBooleanParam(req.body.copy_events, false);
+        const copyMaterials = parseBooleanParam(req.body.copy_materials, false);
+
+        if (endDate <= startDate) {
+            return sendError(res, invalidField('end_date', 'end_date must be after start_date'));
+        }
+
+        const result = await withTransaction(req, async client => {
+            const previous = await lockSchoolYear(client, req.params.id);
+
+            if (previous.archived_at) {
+                throw new HttpError(409, `${previous.name} has already been archived`);
+            }
+
+            if (startDate <= previous.end_date) {
+                throw invalidField('start_date', `The new school year must start after ${previous.name} ends on ${previous.end_date}`);
+            }
+
+            const offset = weekdayAlignedOffset(previous.start_date, startDate);
+            const inserted = await client.query(`
+                INSERT INTO school_years (name, start_date, end_date)
+                VALUES ($1, $2, $3)
+                RETURNING ${SCHOOL_YEAR_COLUMNS}
+            `, [name, startDate, endDate]).catch(error => {
+                throw schoolYearWriteError(error, `School year ${name}`);
+            });
+            const year = inserted.rows[0];
+            const copied = { terms: 0, events: [], materials: [] };
+
+            if (copyTerms) {
+                const terms = await client.query(`
+                    INSERT INTO terms (school_year_id, name, start_date, end_date)
+                    SELECT $1, name, GREATEST(start_date + $2::int, $3::date), LEAST(end_date + $2::int, $4::date)
+                    FROM terms
+                    WHERE school_year_id = $5 AND start_date + $2::int <= $4::date AND end_date + $2::int >= $3::date
+                `, [year.id, offset, year.start_date, year.end_date, previous.id]);
+                copied.terms = terms.rowCount;
+            }
+
+            if (copyEvents) {
+                const series = await client.query(`
+                    SELECT ${EVENT_COLUMNS} FROM events
+                    WHERE rrule IS NOT NULL AND series_id IS NULL AND deleted_at IS NULL
+                      AND date BETWEEN $1 AND $2
+                    ORDER BY date, id
+                `, [previous.start_date, previous.end_date]);
+
+                for (const row of series.rows) {
+                    const copyId = await copySeriesForward(client, row, offset, previous, year);
+                    if (!copyId) continue;
+                    copied.events.push(copyId);
+
+                    // End the original with this year so the two don't both run on.
+                    // A COUNT that runs past the year becomes an UNTIL.
+                    const { rule } = parseRRule(row.rrule);
+                    const runsOn = rule.count
+                        ? occurrencesThrough(row, rule, previous.end_date) < rule.count
+                        : !rule.until || rule.until > previous.end_date;
+                    if (runsOn) {
+                        rule.count = null;
+                        rule.until = previous.end_date;
+                        await client.query(
+                            'UPDATE events SET rrule = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+                            [formatRRule(rule), row.id]
+                        );
+                    }
+                }
+            }
+
+            if (copyMaterials) {
+                const materials = await client.query(`
+                    INSERT INTO materials (school, date, grade_level, title, link, description, password_hash,
+                                           file_key, file_name, file_type, file_size, carry_forward)
+                    SELECT school, date + $1::int, grade_level, title, link, description, password_hash,
+                           file_key, file_name, file_type, file_size, true
+                    FROM materials
+                    WHERE carry_forward AND deleted_at IS NULL
+                      AND date BETWEEN $2 AND $3
+                      AND date + $1::int BETWEEN $4::date AND $5::date
+                    ORDER BY date, grade_level, id
+                    RETURNING id
+                `, [offset, previous.start_date, previous.end_date, year.start_date, year.end_date]);
+                copied.materials = materials.rows.map(row => row.id);
+            }
+
+            await client.query(
+                'UPDATE school_years SET archived_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+                [previous.id]
+            );
+
+            if (copied.events.length) {
+                await emitChange(client, req, 'events.imported', { data: { inserted: copied.events.length, updated: 0, ids: copied.events } });
+            }
+            if (copied.materials.length) {
+                await emitChange(client, req, 'materials.imported', { data: { inserted: copied.materials.length, updated: 0, ids: copied.materials } });
+            }
+            await emitChange(client, req, 'school_year.rolled_over', {
+                data: { archived_school_year_id: previous.id, school_year_id: year.id, offset_days: offset }
+            });
+
+            return { previous, year, offset, copied };
+        });
+
+        const { previous, year, offset, copied } = result;
+
+        res.json({
+            success: true,
+            school_year: await findSchoolYearById(year.id),
+            archived_school_year_id: previous.id,
+            offset_days: offset,
+            copied: { terms: copied.terms, events: copied.events.length, materials: copied.materials.length }
+        });
+    } catch (error) {
+        sendError(res, error, 'Error rolling over school year');
+    }
+});
+
+// Webhook Routes
+// Secrets are write-only: returned when created or rotated, never listed. An inactive
+// subscription gets no new deliveries and its pending ones wait until it is reactivated.
+const WEBHOOK_COLUMNS = 'id, url, event_types, school, description, active, created_at, updated_at';
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+const MIN_WEBHOOK_SECRET_LENGTH = 16;
+const WEBHOOK_FIELDS = {
+    url: { type: 'url' },
+    secret: { type: 'string', minLength: MIN_WEBHOOK_SECRET_LENGTH, maxLength: 200 },
+    event_types: { type: 'array', items: { type: 'string', values: CHANGE_TYPES } },
+    school: { type: 'string', maxLength: 10, nullable: true },
+    description: { type: 'string', maxLength: 500, nullable: true },
+    active: { type: 'boolean' }
+};
+
+// Pick out the webhook fields present in a body checked against WEBHOOK_FIELDS
+function parseWebhookInput(body, schools) {
+    const webhook = {};
+
+    if (body.url !== undefined) webhook.url = body.url;
+    if (body.secret !== undefined) webhook.secret = body.secret;
+
+    if (body.event_types !== undefined) {
+        webhook.event_types = [...new Set(body.event_types)];
+    }
+
+    if (body.school !== undefined) {
+        if (body.school && !schools.has(body.school)) {
+            return { error: invalidField('school', unknownSchoolError(schools)) };
+        }
+        webhook.school = body.school || null;
+    }
+
+    if (body.description !== undefined) webhook.description = body.description || '';
+    if (body.active !== undefined) webhook.active = parseBooleanParam(body.active, true);
+
+    return { webhook };
+}
+
+function newWebhookSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+app.get('/api/webhooks', requireDistrictAdmin, async (req, res) => {
+    try {
+        const activePool = ensurePoolExists();
+        const result = await activePool.query(`
+            SELECT ${WEBHOOK_COLUMNS},
+                   (SELECT COUNT(*)::int FROM webhook_deliveries d WHERE d.webhook_id = webhooks.id AND d.status = 'pending') AS pending,
+                   (SELECT COUNT(*)::int FROM webhook_deliveries d WHERE d.webhook_id = webhooks.id AND d.status = 'failed') AS failed
+            FROM webhooks
+            ORDER BY id
+        `);
 
+        res.json(result.rows);
     } catch (error) {
-        console.error('Database initialization error:', error);
-        
-        let errorMessage = error.message;
-        let suggestions = [];
-        
-        if (error.code === 'ENOTFOUND') {
-            errorMessage = 'Database host not found. Check your connection string.';
-            suggestions.push('Verify DATABASE_URL is correct');
-        } else if (error.code === 'ECONNREFUSED') {
-            errorMessage = 'Connection refused. Database may not be running.';
-            suggestions.push('Check if database is active');
-        } else if (error.code === '28P01') {
-            errorMessage = 'Authentication failed. Check credentials.';
-            suggestions.push('Verify username and password in DATABASE_URL');
-        } else if (error.code === '3D000') {
-            errorMessage = 'Database does not exist.';
-            suggestions.push('Check database name in connection string');
+        sendError(res, error, 'Error fetching webhooks');
+    }
+});
+
+app.get('/api/webhooks/:id', requireDistrictAdmin, validateRequest({ params: ID_PARAMS }), async (req, res) => {
+    try {
+        const activePool = ensurePoolExists();
+        const result = await activePool.query(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE id = $1`, [req.params.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Webhook not found' });
         }
 
-        res.status(500).json({ 
-            error: errorMessage,
-            code: error.code,
-            suggestions,
-            hasEnvVar: !!process.env.DATABASE_URL
-        });
+        res.json(result.rows[0]);
+    } catch (error) {
+        sendError(res, error, 'Error fetching webhook');
     }
 });
 
-// Day Schedules Routes
-app.get('/api/day-schedules', async (req, res) => {
+// Without a secret one is generated; either way it is only returned here
+app.post('/api/webhooks', requireDistrictAdmin, validateRequest({
+    body: { ...WEBHOOK_FIELDS, url: { ...WEBHOOK_FIELDS.url, required: true } }
+}), async (req, res) => {
     try {
-        const activePool = ensurePoolExists();
-        const client = await activePool.connect();
-        const result = await client.query('SELECT date, schedule FROM day_schedules ORDER BY date');
-        client.release();
+        const { error, webhook } = parseWebhookInput(req.body, await loadSchools());
 
-        const schedules = result.rows.map(row => ({
-            date: formatDate(row.date),
-            schedule: row.schedule
-        }));
+        if (error) {
+            return sendError(res, error);
+        }
+
+        webhook.secret = webhook.secret || newWebhookSecret();
+        const fields = Object.keys(webhook);
+
+        const result = await withTransaction(req, client => client.query(`
+            INSERT INTO webhooks (${fields.join(', ')})
+            VALUES (${fields.map((field, index) => `$${index + 1}`).join(', ')})
+            RETURNING ${WEBHOOK_COLUMNS}
+        `, fields.map(field => webhook[field])));
 
-        res.json(schedules);
+        res.json({ ...result.rows[0], secret: webhook.secret });
     } catch (error) {
-        console.error('Error fetching day schedules:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 'Error creating webhook');
     }
 });
 
-app.post('/api/day-schedules', async (req, res) => {
+// rotate_secret: true replaces the secret with a generated one and returns it
+app.put('/api/webhooks/:id', requireDistrictAdmin, validateRequest({
+    params: ID_PARAMS,
+    body: { ...WEBHOOK_FIELDS, rotate_secret: { type: 'boolean' } }
+}), async (req, res) => {
     try {
-        const activePool = ensurePoolExists();
-        const { date, schedule } = req.body;
+        const { error, webhook } = parseWebhookInput(req.body, await loadSchools());
 
-        if (!date) {
-            return res.status(400).json({ error: 'Date is required' });
+        if (error) {
+            return sendError(res, error);
         }
 
-        const formattedDate = formatDate(date);
-        const client = await activePool.connect();
+        if (parseBooleanParam(req.body.rotate_secret, false)) {
+            webhook.secret = newWebhookSecret();
+        }
 
-        if (!schedule || schedule === null) {
-            await client.query('DELETE FROM day_schedules WHERE date = $1', [formattedDate]);
-        } else {
-            if (!['A', 'B'].includes(schedule)) {
-                client.release();
-                return res.status(400).json({ error: 'Schedule must be A or B' });
-            }
+        const fields = Object.keys(webhook);
 
-            await client.query(`
-                INSERT INTO day_schedules (date, schedule, updated_at) 
-                VALUES ($1, $2, CURRENT_TIMESTAMP)
-                ON CONFLICT (date) 
-                DO UPDATE SET schedule = $2, updated_at = CURRENT_TIMESTAMP
-            `, [formattedDate, schedule]);
+        if (fields.length === 0) {
+            return res.status(400).json({ error: 'Nothing to update' });
         }
 
-        client.release();
-        res.json({ 
-            success: true, 
-            date: formattedDate, 
-            schedule: schedule 
-        });
+        const result = await withTransaction(req, client => client.query(`
+            UPDATE webhooks
+            SET ${fields.map((field, index) => `${field} = $${index + 2}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING ${WEBHOOK_COLUMNS}
+        `, [req.params.id, ...fields.map(field => webhook[field])]));
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        res.json({ ...result.rows[0], ...(webhook.secret && { secret: webhook.secret }) });
     } catch (error) {
-        console.error('Error updating day schedule:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 'Error updating webhook');
     }
 });
 
-// Day Types Routes
-app.get('/api/day-types', async (req, res) => {
+// Its delivery log goes with it
+app.delete('/api/webhooks/:id', requireDistrictAdmin, validateRequest({ params: ID_PARAMS }), async (req, res) => {
     try {
-        const activePool = ensurePoolExists();
-        const client = await activePool.connect();
-        const result = await client.query('SELECT date, type FROM day_types ORDER BY date');
-        client.release();
+        const result = await withTransaction(req, client => client.query(
+            'DELETE FROM webhooks WHERE id = $1 RETURNING id',
+            [req.params.id]
+        ));
 
-        const types = result.rows.map(row => ({
-            date: formatDate(row.date),
-            type: row.type
-        }));
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
 
-        res.json(types);
+        res.json({ success: true, id: parseInt(req.params.id) });
     } catch (error) {
-        console.error('Error fetching day types:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 'Error deleting webhook');
     }
 });
 
-app.post('/api/day-types', async (req, res) => {
+// Queue a ping to check the URL and signature handling; see the delivery log for the result
+app.post('/api/webhooks/:id/test', requireDistrictAdmin, validateRequest({ params: ID_PARAMS }), async (req, res) => {
     try {
         const activePool = ensurePoolExists();
-        const { date, type } = req.body;
-
-        if (!date) {
-            return res.status(400).json({ error: 'Date is required' });
-        }
+        const change = {
+            id: crypto.randomUUID(),
+            type: 'ping',
+            school: null,
+            occurred_at: new Date().toISOString(),
+            actor: req.admin.username,
+            data: {}
+        };
 
-        const formattedDate = formatDate(date);
-        const client = await activePool.connect();
+        const result = await activePool.query(`
+            INSERT INTO webhook_deliveries (webhook_id, event_type, payload)
+            SELECT id, $2, $3 FROM webhooks WHERE id = $1
+            RETURNING id, event_type, status, created_at
+        `, [req.params.id, change.type, JSON.stringify(change)]);
 
-        if (!type || type === null) {
-            await client.query('DELETE FROM day_types WHERE date = $1', [formattedDate]);
-        } else {
-            await client.query(`
-                INSERT INTO day_types (date, type, updated_at) 
-                VALUES ($1, $2, CURRENT_TIMESTAMP)
-                ON CONFLICT (date) 
-                DO UPDATE SET type = $2, updated_at = CURRENT_TIMESTAMP
-            `, [formattedDate, type]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Webhook not found' });
         }
 
-        client.release();
-        res.json({ 
-            success: true, 
-            date: formattedDate, 
-            type: type 
-        });
+        webhookDispatcher.run();
+        res.json(result.rows[0]);
     } catch (error) {
-        console.error('Error updating day type:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 'Error sending test webhook');
     }
 });
 
-// Events Routes
-app.get('/api/events', async (req, res) => {
+// Delivery log, newest first, with the same cursor scheme as the audit log
+app.get('/api/webhooks/:id/deliveries', requireDistrictAdmin, validateRequest({
+    params: ID_PARAMS,
+    query: { ...LIST_QUERY, status: { type: 'string', values: WEBHOOK_DELIVERY_STATUSES } }
+}), async (req, res) => {
     try {
         const activePool = ensurePoolExists();
-        const { school } = req.query;
+        const { error, options } = parseListQuery(req.query, 1);
 
-        if (!school) {
-            return res.status(400).json({ error: 'School parameter is required' });
+        if (error) {
+            return sendError(res, error);
         }
 
-        if (!['wlhs', 'wvhs'].includes(school)) {
-            return res.status(400).json({ error: 'School must be wlhs or wvhs' });
+        const conditions = ['webhook_id = $1'];
+        const params = [req.params.id];
+
+        if (req.query.status) {
+            params.push(req.query.status);
+            conditions.push(`status = $${params.length}`);
         }
 
-        const client = await activePool.connect();
-        const result = await client.query(
-            'SELECT id, school, date, title, department, time, description, created_at, updated_at FROM events WHERE school = $1 ORDER BY date, time, id',
-            [school]
-        );
-        client.release();
+        addDateRange(conditions, params, options, 'created_at::date');
 
-        const events = result.rows.map(row => ({
-            ...row,
-            date: formatDate(row.date)
-        }));
+        if (options.cursor) {
+            params.push(options.cursor[0]);
+            conditions.push(`id < $${params.length}`);
+        }
+
+        const limit = options.limit || DEFAULT_PAGE_SIZE;
+        params.push(limit + 1);
+
+        const result = await activePool.query(`
+            SELECT id, event_type, payload, status, attempts, response_status, error,
+                   next_attempt_at, delivered_at, created_at
+            FROM webhook_deliveries
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY id DESC
+            LIMIT $${params.length}
+        `, params);
+
+        sendList(res, result.rows, { ...options, limit }, row => row, row => [row.id]);
+    } catch (error) {
+        sendError(res, error, 'Error fetching webhook deliveries');
+    }
+});
+
+// Send a delivery again now, including ones that already succeeded or gave up
+app.post('/api/webhooks/:id/deliveries/:deliveryId/retry', requireDistrictAdmin, validateRequest({
+    params: { ...ID_PARAMS, deliveryId: ID_PARAMS.id }
+}), async (req, res) => {
+    try {
+        const activePool = ensurePoolExists();
+        const result = await activePool.query(`
+            UPDATE webhook_deliveries
+            SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND webhook_id = $2
+            RETURNING id, event_type, status
+        `, [req.params.deliveryId, req.params.id]);
 
-        res.json(events);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+
+        webhookDispatcher.run();
+        res.json(result.rows[0]);
     } catch (error) {
-        console.error('Error fetching events:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 'Error retrying webhook delivery');
     }
 });
 
-app.post('/api/events', async (req, res) => {
+// Audit Routes
+app.get('/api/audit', requireDistrictAdmin, validateRequest({
+    query: {
+        ...LIST_QUERY,
+        ...SCHOOL_FILTER,
+        table: { type: 'string', values: Object.keys(AUDITED_TABLES) },
+        action: { type: 'string', values: ['insert', 'update', 'delete'] },
+        record: { type: 'string', maxLength: 100 }
+    }
+}), async (req, res) => {
     try {
         const activePool = ensurePoolExists();
-        const { school, date, title, department, time, description } = req.body;
+        const { table, school, record, action } = req.query;
 
-        if (!school || !date || !title) {
-            return res.status(400).json({ error: 'School, date, and title are required' });
+        const { error, options } = parseListQuery(req.query, 1);
+
+        if (error) {
+            return sendError(res, error);
         }
 
-        if (!['wlhs', 'wvhs'].includes(school)) {
-            return res.status(400).json({ error: 'School must be wlhs or wvhs' });
+        const conditions = [];
+        const params = [];
+        const filters = { table_name: table, school, record_key: record, action };
+
+        for (const [column, value] of Object.entries(filters)) {
+            if (value) {
+                params.push(value);
+                conditions.push(`${column} = $${params.length}`);
+            }
         }
 
-        const formattedDate = formatDate(date);
-        const client = await activePool.connect();
+        addDateRange(conditions, params, options);
 
-        const result = await client.query(`
-            INSERT INTO events (school, date, title, department, time, description)
-            VALUES ($1, $2, $3, $4, $5, $6)
-            RETURNING id, school, date, title, department, time, description, created_at, updated_at
-        `, [school, formattedDate, title, department || null, time || null, description || '']);
+        // Newest first, so the cursor continues below the last id seen
+        if (options.cursor) {
+            params.push(options.cursor[0]);
+            conditions.push(`id < $${params.length}`);
+        }
 
-        client.release();
+        const where = conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '';
+        const limit = options.limit || DEFAULT_PAGE_SIZE;
+        params.push(limit + 1);
 
-        const event = {
-            ...result.rows[0],
-            date: formatDate(result.rows[0].date)
-        };
+        const client = await activePool.connect();
+        const result = await client.query(`
+            SELECT id, table_name, record_key, action, before_data, after_data, school, date, actor, undo_of, created_at,
+                   EXISTS (SELECT 1 FROM audit_log u WHERE u.undo_of = audit_log.id) AS undone
+            FROM audit_log${where}
+            ORDER BY id DESC
+            LIMIT $${params.length}
+        `, params);
+        client.release();
 
-        res.json(event);
+        sendList(res, result.rows, { ...options, limit }, serializeAuditEntry, row => [Number(row.id)]);
     } catch (error) {
-        console.error('Error creating event:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 'Error fetching audit log');
     }
 });
 
-app.put('/api/events/:id', async (req, res) => {
+// Revert one audited change. Refuses with 409 if the record changed since, unless force is set
+app.post('/api/audit/:id/undo', requireDistrictAdmin, validateRequest({ params: ID_PARAMS, body: { force: { type: 'boolean' } } }), async (req, res) => {
     try {
-        const activePool = ensurePoolExists();
         const { id } = req.params;
-        const { title, department, time, description } = req.body;
+        const force = parseBooleanParam(req.body.force, false);
 
-        if (!title) {
-            return res.status(400).json({ error: 'Title is required' });
-        }
+        const result = await withTransaction(req, async client => {
+            const entries = await client.query('SELECT * FROM audit_log WHERE id = $1 FOR UPDATE', [id]);
+            const entry = entries.rows[0];
 
-        const client = await activePool.connect();
+            if (!entry) {
+                throw new HttpError(404, 'Audit entry not found');
+            }
 
-        const result = await client.query(`
-            UPDATE events 
-            SET title = $1, department = $2, time = $3, description = $4, updated_at = CURRENT_TIMESTAMP
-            WHERE id = $5
-            RETURNING id, school, date, title, department, time, description, created_at, updated_at
-        `, [title, department || null, time || null, description || '', id]);
+            const undone = await client.query('SELECT id FROM audit_log WHERE undo_of = $1', [id]);
+            if (undone.rows.length) {
+                throw new HttpError(409, 'This change has already been undone');
+            }
 
-        client.release();
+            const table = entry.table_name;
+            const key = AUDITED_TABLES[table];
+            const current = await client.query(
+                `SELECT to_jsonb(t) AS data FROM ${table} t WHERE ${key} = $1 FOR UPDATE`,
+                [entry.record_key]
+            );
+            const currentRow = current.rows[0] ? current.rows[0].data : null;
 
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Event not found' });
-        }
+            if (!force && !sameAuditRow(currentRow, entry.after_data)) {
+                throw new HttpError(409, 'The record has changed since this entry; pass force to undo anyway');
+            }
 
-        const event = {
-            ...result.rows[0],
-            date: formatDate(result.rows[0].date)
-        };
+            await client.query("SELECT set_config('app.undo_of', $1, true)", [String(entry.id)]);
 
-        res.json(event);
+            if (!entry.before_data) {
+                await client.query(`DELETE FROM ${table} WHERE ${key} = $1`, [entry.record_key]);
+            } else {
+                const existing = await tableColumns(client, table);
+                const columns = Object.keys(entry.before_data).filter(column => existing.has(column));
+                const list = columns.map(column => `"${column}"`).join(', ');
+
+                if (currentRow) {
+                    await client.query(`
+                        UPDATE ${table} SET (${list}) = (SELECT ${list} FROM jsonb_populate_record(NULL::${table}, $1))
+                        WHERE ${key} = $2
+                    `, [entry.before_data, entry.record_key]);
+                } else {
+                    await client.query(`
+                        INSERT INTO ${table} (${list})
+                        SELECT ${list} FROM jsonb_populate_record(NULL::${table}, $1)
+                    `, [entry.before_data]);
+                }
+            }
+
+            const restored = await client.query(
+                `SELECT to_jsonb(t) AS data FROM ${table} t WHERE ${key} = $1`,
+                [entry.record_key]
+            );
+            await emitAuditedRowChange(client, req, table, currentRow, restored.rows[0] ? restored.rows[0].data : null);
+
+            return { table, record_key: entry.record_key, restored: entry.before_data ? 'previous' : 'deleted' };
+        });
+
+        res.json({ success: true, undone: parseInt(id), ...result });
     } catch (error) {
-        console.error('Error updating event:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 'Error undoing change');
     }
 });
 
-app.delete('/api/events/:id', async (req, res) => {
+// Export / Import Routes
+app.get('/api/export', requireDistrictAdmin, validateRequest({ query: DATA_SCOPE_FIELDS }), async (req, res) => {
     try {
+        const { error, scope } = parseDataScope(req.query, await loadSchools(), 'query');
+
+        if (error) {
+            return sendError(res, error);
+        }
+
         const activePool = ensurePoolExists();
-        const { id } = req.params;
         const client = await activePool.connect();
+        let tables;
 
-        const result = await client.query('DELETE FROM events WHERE id = $1 RETURNING id', [id]);
-        client.release();
-
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Event not found' });
+        try {
+            // One consistent view across all tables
+            await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+            tables = await buildArchive(client, scope);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
         }
 
-        res.json({ success: true, id: parseInt(id) });
+        res.set('Content-Disposition', `attachment; filename="calendar-${scope.school || 'all'}-${todayString()}.json"`);
+        res.json({
+            format: ARCHIVE_FORMAT,
+            version: ARCHIVE_VERSION,
+            exported_at: new Date().toISOString(),
+            scope,
+            tables
+        });
     } catch (error) {
-        console.error('Error deleting event:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 'Error exporting data');
     }
 });
 
-// Materials Routes
-app.get('/api/materials', async (req, res) => {
+// Body is an archive from /api/export, either as-is or under "archive", plus mode
+// (merge upserts by date/id, replace first clears the archive's scope) and dry_run
+app.post('/api/import', requireDistrictAdmin, validateRequest({
+    query: IMPORT_OPTIONS,
+    body: { ...IMPORT_OPTIONS, archive: { type: 'object' } }
+}), async (req, res) => {
     try {
-        const activePool = ensurePoolExists();
-        const { school } = req.query;
+        const archive = req.body.archive || req.body;
+        // Field names in errors are relative to the body
+        const prefix = req.body.archive ? 'archive.' : '';
+        const mode = req.body.mode || req.query.mode || 'merge';
+        const dryRun = parseBooleanParam(req.body.dry_run ?? req.query.dry_run, false);
 
-        if (!school) {
-            return res.status(400).json({ error: 'School parameter is required' });
+        if (archive.format !== ARCHIVE_FORMAT || !archive.tables || typeof archive.tables !== 'object') {
+            return sendError(res, invalidField([`${prefix}format`, `${prefix}tables`], 'Body is not a calendar archive'));
         }
 
-        if (!['wlhs', 'wvhs'].includes(school)) {
-            return res.status(400).json({ error: 'School must be wlhs or wvhs' });
+        if (!Number.isInteger(archive.version) || archive.version < 1 || archive.version > ARCHIVE_VERSION) {
+            return sendError(res, invalidField(`${prefix}version`, `Unsupported archive version: ${archive.version}`));
         }
 
-        const client = await activePool.connect();
+        const tableNames = Object.keys(archive.tables);
 
-        try {
-            const result = await client.query(
-                'SELECT id, school, date, grade_level, title, link, description, password, created_at, updated_at FROM materials WHERE school = $1 ORDER BY date, grade_level, id',
-                [school]
-            );
-            
-            client.release();
+        if (tableNames.length === 0) {
+            return sendError(res, invalidField(`${prefix}tables`, 'Archive contains no tables'));
+        }
 
-            const materials = result.rows.map(row => ({
-                ...row,
-                date: formatDate(row.date),
-                password: row.password || ''
-            }));
+        const schools = await loadSchools();
+        const { error, scope } = parseDataScope({ ...archive.scope, tables: tableNames }, schools);
 
-            res.json(materials);
-        } catch (passwordError) {
-            // If password column doesn't exist, try without it
-            const result = await client.query(
-                'SELECT id, school, date, grade_level, title, link, description, created_at, updated_at FROM materials WHERE school = $1 ORDER BY date, grade_level, id',
-                [school]
-            );
-            
-            client.release();
+        if (error) {
+            const fields = error.details.map(detail => `${prefix}scope.${detail.field}`);
+            return sendError(res, invalidField(fields, `Invalid archive scope: ${error.message}`));
+        }
+
+        const errors = [];
+        const tables = {};
+        let dayTypeKeys = new Set();
+        // Rows may belong to schools the archive itself brings in
+        const knownSchools = new Map(schools);
+
+        if (scope.tables.includes('day_types') || scope.tables.includes('school_day_types')) {
+            const activePool = ensurePoolExists();
+            const definitions = await activePool.query('SELECT key FROM day_type_definitions');
+            dayTypeKeys = new Set(definitions.rows.map(row => row.key));
+        }
+
+        for (const table of scope.tables) {
+            const rows = archive.tables[table];
+
+            if (!Array.isArray(rows)) {
+                errors.push({ location: 'body', field: `${prefix}tables.${table}`, message: 'Table must be an array of rows' });
+                continue;
+            }
+
+            const keys = ARCHIVE_KEYS[table];
+            const seen = new Set();
+
+            tables[table] = [];
+            for (const [index, row] of rows.entries()) {
+                let rowError = archiveRowError(table, row, knownSchools);
+
+                if (!rowError) {
+                    const date = table === 'schools' ? null : formatDate(row.date);
+                    const school = table === 'schools' ? row.code : row.school;
+                    const keyValue = keys.map(key => (key === 'date' ? date : row[key])).join(' ');
+
+                    if (seen.has(keyValue)) {
+                        rowError = `Duplicate ${keys.join(', ')} ${keyValue}`;
+                    } else if ((table === 'day_types' || (table === 'school_day_types' && row.type != null))
+                        && !dayTypeKeys.has(row.type)) {
+                        rowError = `Unknown day type: ${row.type}`;
+                    } else if (mode === 'replace' && (
+                        (scope.school && school !== scope.school) ||
+                        (scope.from && date && date < scope.from) ||
+                        (scope.to && date && date > scope.to)
+                    )) {
+                        rowError = 'Row is outside the archive scope';
+                    }
+                    seen.add(keyValue);
+                    tables[table].push(date ? { ...row, date } : row);
+                    if (table === 'schools') {
+                        knownSchools.set(row.code, { departments: [], ...knownSchools.get(row.code), ...row });
+                    }
+                }
+
+                if (rowError) {
+                    errors.push({ location: 'body', field: `${prefix}tables.${table}[${index}]`, message: rowError });
+                }
+            }
+        }
 
-            const materials = result.rows.map(row => ({
-                ...row,
-                date: formatDate(row.date),
-                password: ''
-            }));
+        if (errors.length > 0) {
+            return sendError(res, new HttpError(400, 'Archive failed validation', { code: 'validation_failed', details: errors }));
+        }
 
-            res.json(materials);
+        // Archives from before password hashing carry plaintext passwords
+        for (const row of tables.materials || []) {
+            if (row.password && !row.password_hash) {
+                row.password_hash = await hashPassword(row.password);
+            }
+            delete row.password;
         }
+
+        const summary = await withTransaction(req, async client => {
+            const counts = Object.fromEntries(scope.tables.map(table => [table, { deleted: 0 }]));
+            let snapshotId = null;
+
+            if (mode === 'replace') {
+                const snapshot = await client.query(`
+                    INSERT INTO snapshots (reason, scope, data, created_by)
+                    VALUES ('import', $1, $2, $3)
+                    RETURNING id
+                `, [scope, await buildArchive(client, scope), req.admin.username]);
+                snapshotId = snapshot.rows[0].id;
+
+                for (const table of clearedTables(scope).reverse()) {
+                    const params = [];
+                    const removed = await client.query(`DELETE FROM ${table}${scopeWhere(table, scope, params)}`, params);
+                    counts[table].deleted = removed.rowCount;
+                }
+            }
+
+            for (const table of scope.tables) {
+                Object.assign(counts[table], await importArchiveTable(client, table, tables[table]));
+
+                const { inserted, updated, deleted } = counts[table];
+                if (!dryRun && (inserted || updated || deleted)) {
+                    await emitChange(client, req, `${table}.imported`, {
+                        school: scope.school,
+                        data: { mode, inserted, updated, deleted }
+                    });
+                }
+            }
+
+            return { snapshot_id: dryRun ? null : snapshotId, tables: counts };
+        }, { rollback: dryRun });
+
+        res.json({ success: true, mode, dry_run: dryRun, scope, ...summary });
     } catch (error) {
-        console.error('Error fetching materials:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 'Error importing data');
     }
 });
 
-app.post('/api/materials', async (req, res) => {
+// Trash Routes
+app.get('/api/trash', requireDistrictAdmin, validateRequest({ query: { ...SCHOOL_FILTER, type: { type: 'string', values: TRASH_TABLES } } }), async (req, res) => {
     try {
-        const activePool = ensurePoolExists();
-        const { school, date, grade_level, title, link, description, password } = req.body;
+        const { school, type } = req.query;
 
-        if (!school || !date || !grade_level || !title || !link) {
-            return res.status(400).json({ error: 'School, date, grade_level, title, and link are required' });
-        }
+        const schools = await loadSchools();
 
-        if (!['wlhs', 'wvhs'].includes(school)) {
-            return res.status(400).json({ error: 'School must be wlhs or wvhs' });
+        if (school && !schools.has(school)) {
+            return sendError(res, invalidField('school', unknownSchoolError(schools), 'query'));
         }
 
-        if (![9, 10, 11, 12].includes(parseInt(grade_level))) {
-            return res.status(400).json({ error: 'Grade level must be 9, 10, 11, or 12' });
+        const activePool = ensurePoolExists();
+        const items = [];
+
+        for (const table of type ? [type] : TRASH_TABLES) {
+            // Occurrences trashed together with their series are restored with it
+            const result = await activePool.query(`
+                SELECT id, school, date, title, deleted_at,
+                       deleted_at + make_interval(days => $2) AS purge_at
+                FROM ${table} t
+                WHERE deleted_at IS NOT NULL AND ($1::text IS NULL OR school = $1)
+                  AND deleted_at >= CURRENT_TIMESTAMP - make_interval(days => $2)
+                ${table === 'events' ? `AND NOT EXISTS (
+                    SELECT 1 FROM events p WHERE p.id = t.series_id AND p.deleted_at = t.deleted_at
+                )` : ''}
+                ORDER BY deleted_at DESC
+            `, [school || null, TRASH_RETENTION_DAYS]);
+            items.push(...result.rows.map(row => ({ type: table, ...row, date: formatDate(row.date) })));
         }
+        items.sort((a, b) => b.deleted_at - a.deleted_at);
 
-        const formattedDate = formatDate(date);
-        const client = await activePool.connect();
+        res.json(items);
+    } catch (error) {
+        sendError(res, error, 'Error fetching trash');
+    }
+});
 
-        try {
-            const result = await client.query(`
-                INSERT INTO materials (school, date, grade_level, title, link, description, password)
-                VALUES ($1, $2, $3, $4, $5, $6, $7)
-                RETURNING id, school, date, grade_level, title, link, description, password, created_at, updated_at
-            `, [school, formattedDate, parseInt(grade_level), title, link, description || '', password || '']);
+app.post('/api/trash/:type/:id/restore', requireDistrictAdmin, validateRequest({ params: { ...ID_PARAMS, type: { type: 'string', required: true, values: TRASH_TABLES } } }), async (req, res) => {
+    try {
+        const { type, id } = req.params;
 
-            client.release();
+        const restored = await withTransaction(req, async client => {
+            const existing = await client.query(
+                `SELECT id FROM ${type} WHERE id = $1 AND deleted_at IS NOT NULL FOR UPDATE`,
+                [id]
+            );
 
-            const material = {
-                ...result.rows[0],
-                date: formatDate(result.rows[0].date)
-            };
+            if (!existing.rows[0]) {
+                throw new HttpError(404, 'Item not found in trash');
+            }
 
-            res.json(material);
-        } catch (passwordError) {
-            // If password column doesn't exist, create without it
+            // Series occurrences deleted in the same operation come back too
             const result = await client.query(`
-                INSERT INTO materials (school, date, grade_level, title, link, description)
-                VALUES ($1, $2, $3, $4, $5, $6)
-                RETURNING id, school, date, grade_level, title, link, description, created_at, updated_at
-            `, [school, formattedDate, parseInt(grade_level), title, link, description || '']);
-
-            client.release();
+                UPDATE ${type} SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP
+                WHERE ${type === 'events' ? '(id = $1 OR series_id = $1)' : 'id = $1'}
+                  AND deleted_at = (SELECT deleted_at FROM ${type} WHERE id = $1)
+                RETURNING ${type === 'events' ? EVENT_COLUMNS : MATERIAL_COLUMNS}
+            `, [id]);
 
-            const material = {
-                ...result.rows[0],
-                date: formatDate(result.rows[0].date),
-                password: ''
-            };
+            // Subscribers see restored items as created again
+            for (const row of result.rows) {
+                await emitChange(client, req, type === 'events' ? 'event.created' : 'material.created', {
+                    school: row.school,
+                    data: type === 'events' ? serializeEvent(row) : serializeMaterial(row)
+                });
+            }
+            return result.rows.map(row => row.id);
+        });
 
-            res.json(material);
-        }
+        res.json({ success: true, type, id: parseInt(id), restored });
     } catch (error) {
-        console.error('Error creating material:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 'Error restoring from trash');
     }
 });
 
-app.put('/api/materials/:id', async (req, res) => {
+// Admin Routes
+// Scoped reset in two steps: without confirm_token it previews what would be deleted and
+// issues a token; repeating the same scope with that token snapshots and deletes
+app.post('/api/reset', requireDistrictAdmin, validateRequest({ body: { ...DATA_SCOPE_FIELDS, confirm_token: { type: 'string', maxLength: 100 } } }), async (req, res) => {
     try {
-        const activePool = ensurePoolExists();
-        const { id } = req.params;
-        const { title, link, description, password } = req.body;
+        const { error, scope } = parseDataScope(req.body, await loadSchools());
 
-        if (!title || !link) {
-            return res.status(400).json({ error: 'Title and link are required' });
+        if (error) {
+            return sendError(res, error);
         }
 
-        const client = await activePool.connect();
+        const { confirm_token } = req.body;
 
-        try {
-            const result = await client.query(`
-                UPDATE materials 
-                SET title = $1, link = $2, description = $3, password = $4, updated_at = CURRENT_TIMESTAMP
-                WHERE id = $5
-                RETURNING id, school, date, grade_level, title, link, description, password, created_at, updated_at
-            `, [title, link, description || '', password || '', id]);
+        if (!confirm_token) {
+            const token = crypto.randomBytes(24).toString('base64url');
 
-            client.release();
+            const { counts, expiresAt } = await withTransaction(req, async client => {
+                const totals = {};
+                for (const table of clearedTables(scope)) {
+                    const params = [];
+                    const result = await client.query(
+                        `SELECT COUNT(*)::int AS count FROM ${table}${scopeWhere(table, scope, params)}`,
+                        params
+                    );
+                    totals[table] = result.rows[0].count;
+                }
 
-            if (result.rows.length === 0) {
-                return res.status(404).json({ error: 'Material not found' });
+                const confirmation = await client.query(`
+                    INSERT INTO reset_confirmations (token_hash, scope, created_by, expires_at)
+                    VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(secs => $4))
+                    RETURNING expires_at
+                `, [hashToken(token), scope, req.admin.username, RESET_CONFIRMATION_TTL_MS / 1000]);
+                return { counts: totals, expiresAt: confirmation.rows[0].expires_at };
+            });
+
+            return res.json({
+                success: true,
+                confirmed: false,
+                scope,
+                counts,
+                confirm_token: token,
+                expires_at: expiresAt
+            });
+        }
+
+        const result = await withTransaction(req, async client => {
+            const confirmations = await client.query(
+                `SELECT scope, used_at IS NULL AND expires_at > CURRENT_TIMESTAMP AS usable
+                 FROM reset_confirmations WHERE token_hash = $1 FOR UPDATE`,
+                [hashToken(confirm_token)]
+            );
+            const confirmation = confirmations.rows[0];
+
+            if (!confirmation || !confirmation.usable) {
+                throw invalidField('confirm_token', 'Confirmation token is invalid or has expired');
             }
 
-            const material = {
-                ...result.rows[0],
-                date: formatDate(result.rows[0].date)
-            };
+            if (scopeSignature(confirmation.scope) !== scopeSignature(scope)) {
+                throw invalidField('confirm_token', 'Confirmation token was issued for a different scope');
+            }
 
-            res.json(material);
-        } catch (passwordError) {
-            // If password column doesn't exist, update without it
-            const result = await client.query(`
-                UPDATE materials 
-                SET title = $1, link = $2, description = $3, updated_at = CURRENT_TIMESTAMP
-                WHERE id = $4
-                RETURNING id, school, date, grade_level, title, link, description, created_at, updated_at
-            `, [title, link, description || '', id]);
+            const snapshot = await client.query(`
+                INSERT INTO snapshots (reason, scope, data, created_by)
+                VALUES ('reset', $1, $2, $3)
+                RETURNING id
+            `, [scope, await buildArchive(client, scope), req.admin.username]);
 
-            client.release();
+            // Children before parents
+            const deleted = {};
+            for (const table of clearedTables(scope).reverse()) {
+                const params = [];
+                const removed = await client.query(`DELETE FROM ${table}${scopeWhere(table, scope, params)}`, params);
+                deleted[table] = removed.rowCount;
+            }
 
-            if (result.rows.length === 0) {
-                return res.status(404).json({ error: 'Material not found' });
+            await client.query(
+                'UPDATE reset_confirmations SET used_at = CURRENT_TIMESTAMP WHERE token_hash = $1',
+                [hashToken(confirm_token)]
+            );
+
+            if (Object.values(deleted).some(count => count > 0)) {
+                await emitChange(client, req, 'calendar.reset', { school: scope.school, data: { scope, deleted } });
             }
 
-            const material = {
-                ...result.rows[0],
-                date: formatDate(result.rows[0].date),
-                password: ''
-            };
+            return { snapshot_id: snapshot.rows[0].id, deleted };
+        });
 
-            res.json(material);
-        }
+        res.json({ success: true, confirmed: true, scope, ...result });
     } catch (error) {
-        console.error('Error updating material:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 'Error resetting data');
     }
 });
 
-app.delete('/api/materials/:id', async (req, res) => {
+app.get('/api/snapshots', requireDistrictAdmin, async (req, res) => {
     try {
         const activePool = ensurePoolExists();
-        const { id } = req.params;
         const client = await activePool.connect();
-
-        const result = await client.query('DELETE FROM materials WHERE id = $1 RETURNING id', [id]);
+        const result = await client.query(`
+            SELECT id, reason, scope, created_by, created_at,
+                   (SELECT jsonb_object_agg(key, jsonb_array_length(value)) FROM jsonb_each(data)) AS counts
+            FROM snapshots
+            ORDER BY id DESC
+        `);
         client.release();
 
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Material not found' });
-        }
-
-        res.json({ success: true, id: parseInt(id) });
+        res.json(result.rows);
     } catch (error) {
-        console.error('Error deleting material:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 'Error fetching snapshots');
     }
 });
 
-// Admin Routes
-app.delete('/api/clear-all', async (req, res) => {
+app.get('/api/snapshots/:id', requireDistrictAdmin, validateRequest({ params: ID_PARAMS }), async (req, res) => {
     try {
         const activePool = ensurePoolExists();
         const client = await activePool.connect();
-
-        await client.query('DELETE FROM materials');
-        await client.query('DELETE FROM events');
-        await client.query('DELETE FROM day_schedules');
-        await client.query('DELETE FROM day_types');
-
+        const result = await client.query('SELECT * FROM snapshots WHERE id = $1', [req.params.id]);
         client.release();
 
-        res.json({ success: true, message: 'All data cleared' });
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Snapshot not found' });
+        }
+
+        res.json(result.rows[0]);
     } catch (error) {
-        console.error('Error clearing data:', error);
-        res.status(500).json({ error: error.message });
+        sendError(res, error, 'Error fetching snapshot');
     }
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-    console.error('Unhandled error:', err);
-    res.status(500).json({ 
-        error: 'Internal server error',
-        message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
-    });
+    sendError(res, err, 'Unhandled error');
 });
 
 // 404 handler
@@ -739,16 +6212,17 @@ app.use((req, res) => {
 let server;
 
 process.on('SIGTERM', () => {
-    console.log('SIGTERM received, shutting down gracefully');
+    logger.info('SIGTERM received, shutting down gracefully');
+    changeStream.close();
     if (server) {
         server.close(() => {
-            console.log('HTTP server closed');
+            logger.info('HTTP server closed');
             if (pool && !pool.ended) {
                 pool.end().then(() => {
-                    console.log('Database pool closed');
+                    logger.info('Database pool closed');
                     process.exit(0);
                 }).catch(err => {
-                    console.error('Error closing pool:', err);
+                    logError('Error closing pool', err);
                     process.exit(1);
                 });
             } else {
@@ -761,16 +6235,17 @@ process.on('SIGTERM', () => {
 });
 
 process.on('SIGINT', () => {
-    console.log('SIGINT received, shutting down gracefully');
+    logger.info('SIGINT received, shutting down gracefully');
+    changeStream.close();
     if (server) {
         server.close(() => {
-            console.log('HTTP server closed');
+            logger.info('HTTP server closed');
             if (pool && !pool.ended) {
                 pool.end().then(() => {
-                    console.log('Database pool closed');
+                    logger.info('Database pool closed');
                     process.exit(0);
                 }).catch(err => {
-                    console.error('Error closing pool:', err);
+                    logError('Error closing pool', err);
                     process.exit(1);
                 });
             } else {
@@ -784,10 +6259,11 @@ process.on('SIGINT', () => {
 
 // Start server
 server = app.listen(PORT, () => {
-    console.log(`🚀 WLWV Calendar API running on port ${PORT}`);
-    console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
-    console.log(`💾 Database: ${pool ? 'Connected' : 'Not configured'}`);
-    console.log(`🌐 Health check: /api/health`);
+    logger.info('WLWV Calendar API running', {
+        port: Number(PORT),
+        environment: process.env.NODE_ENV || 'development',
+        database: pool ? 'configured' : 'not configured'
+    });
 });
 
 module.exports = app;
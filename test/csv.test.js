@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseCsv, parseCsvRecords } = require('../lib/csv');
+
+describe('parseCsv', () => {
+    it('reads quoted fields with escaped quotes, delimiters and newlines', () => {
+        const rows = parseCsv('title,description\r\n"Say ""hi""","one, two\nthree"\r\nlast,row');
+
+        assert.deepStrictEqual(rows, [
+            { line: 1, fields: ['title', 'description'] },
+            { line: 2, fields: ['Say "hi"', 'one, two\nthree'] },
+            { line: 4, fields: ['last', 'row'] }
+        ]);
+    });
+
+    it('skips blank rows and a leading BOM', () => {
+        assert.deepStrictEqual(parseCsv('\uFEFFa,b\n\n , \n1,2\n'), [
+            { line: 1, fields: ['a', 'b'] },
+            { line: 4, fields: ['1', '2'] }
+        ]);
+    });
+
+    it('reads tab-separated pastes', () => {
+        assert.deepStrictEqual(parseCsv('a\tb\n1, 2\t3').map(row => row.fields), [['a', 'b'], ['1, 2', '3']]);
+    });
+
+    it('rejects an unterminated quote', () => {
+        assert.throws(() => parseCsv('a\n"open\n'), { message: 'Unterminated quoted field starting on line 2' });
+    });
+});
+
+describe('parseCsvRecords', () => {
+    it('keys values by normalized header and leaves out empty cells', () => {
+        assert.deepStrictEqual(parseCsvRecords('School, Grade Level ,Title\nwlhs,, Math \n'), {
+            columns: ['school', 'grade_level', 'title'],
+            records: [{ line: 2, values: { school: 'wlhs', title: 'Math' } }]
+        });
+    });
+
+    it('returns nothing for empty input', () => {
+        assert.deepStrictEqual(parseCsvRecords(''), { columns: [], records: [] });
+    });
+});
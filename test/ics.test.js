@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { escapeIcsText, foldIcsLine, buildIcsEvent, buildIcsCalendar } = require('../lib/ics');
+
+describe('escapeIcsText', () => {
+    it('escapes backslashes, separators and newlines', () => {
+        assert.strictEqual(escapeIcsText('a\\b; c, d\r\ne\nf'), 'a\\\\b\\; c\\, d\\ne\\nf');
+        assert.strictEqual(escapeIcsText(null), '');
+    });
+});
+
+describe('foldIcsLine', () => {
+    it('leaves lines of up to 75 octets alone', () => {
+        const line = 'X'.repeat(75);
+        assert.strictEqual(foldIcsLine(line), line);
+    });
+
+    it('folds longer lines into 75-octet pieces without splitting characters', () => {
+        const line = `SUMMARY:${'é'.repeat(80)}`;
+        const pieces = foldIcsLine(line).split('\r\n ');
+
+        assert.strictEqual(pieces.join(''), line);
+        assert.ok(pieces.length > 1);
+        assert.ok(Buffer.byteLength(pieces[0]) <= 75);
+        for (const piece of pieces.slice(1)) assert.ok(Buffer.byteLength(piece) <= 74);
+    });
+});
+
+describe('buildIcsEvent', () => {
+    const updatedAt = new Date('2026-09-01T15:30:00.123Z');
+
+    it('writes untimed entries as transparent all-day events', () => {
+        assert.deepStrictEqual(buildIcsEvent({ uid: 'event-1', date: '2026-12-31', summary: 'No school', updatedAt }), [
+            'BEGIN:VEVENT',
+            'UID:event-1@wlwv-calendar-api',
+            'DTSTAMP:20260901T153000Z',
+            'DTSTART;VALUE=DATE:20261231',
+            'DTEND;VALUE=DATE:20270101',
+            'TRANSP:TRANSPARENT',
+            'SUMMARY:No school',
+            'LAST-MODIFIED:20260901T153000Z',
+            'END:VEVENT'
+        ]);
+    });
+
+    it('writes timed entries in the district timezone', () => {
+        const lines = buildIcsEvent({
+            uid: 'event-2',
+            date: '2026-09-10',
+            time: '18:30:00',
+            summary: 'Back to School Night',
+            description: 'Gym, then classrooms',
+            categories: 'Events'
+        });
+
+        assert.ok(lines.includes('DTSTART;TZID=America/Los_Angeles:20260910T183000'));
+        assert.ok(lines.includes('DURATION:PT1H'));
+        assert.ok(lines.includes('DESCRIPTION:Gym\\, then classrooms'));
+        assert.ok(lines.includes('CATEGORIES:Events'));
+        assert.ok(!lines.some(line => line.startsWith('DTEND')));
+    });
+});
+
+describe('buildIcsCalendar', () => {
+    it('wraps the events with the timezone and ends every line with CRLF', () => {
+        const event = buildIcsEvent({ uid: 'event-1', date: '2026-09-10', summary: 'x'.repeat(100) });
+        const text = buildIcsCalendar('West Linn, HS', event);
+        const lines = text.split('\r\n');
+
+        assert.ok(text.endsWith('END:VCALENDAR\r\n'));
+        assert.strictEqual(lines[0], 'BEGIN:VCALENDAR');
+        assert.ok(lines.includes('X-WR-CALNAME:West Linn\\, HS'));
+        assert.ok(lines.includes('TZID:America/Los_Angeles'));
+        assert.ok(lines.indexOf('END:VTIMEZONE') < lines.indexOf('BEGIN:VEVENT'));
+        assert.ok(lines.every(line => Buffer.byteLength(line) <= 75));
+        assert.ok(!text.replace(/\r\n/g, '').includes('\n'));
+    });
+});
@@ -0,0 +1,134 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { addDays, weekdayOf, parseRRule, formatRRule, expandRRule } = require('../lib/rrule');
+
+function expand(value, start, range) {
+    const { rule, error } = parseRRule(value);
+    assert.strictEqual(error, undefined);
+    return expandRRule(rule, start, range);
+}
+
+describe('date helpers', () => {
+    it('adds days across month and year ends', () => {
+        assert.strictEqual(addDays('2026-01-31', 1), '2026-02-01');
+        assert.strictEqual(addDays('2026-12-31', 1), '2027-01-01');
+        assert.strictEqual(addDays('2026-03-01', -1), '2026-02-28');
+    });
+
+    it('reads the weekday without a timezone shift', () => {
+        assert.strictEqual(weekdayOf('2026-09-07'), 1);
+        assert.strictEqual(weekdayOf('2026-09-13'), 0);
+    });
+});
+
+describe('parseRRule', () => {
+    it('parses the supported parts', () => {
+        assert.deepStrictEqual(parseRRule('FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4').rule, {
+            freq: 'WEEKLY',
+            interval: 1,
+            byDay: [{ weekday: 1, ordinal: null }, { weekday: 3, ordinal: null }],
+            byMonthDay: null,
+            count: 4,
+            until: null
+        });
+    });
+
+    it('accepts an RRULE: prefix, lowercase and UNTIL timestamps', () => {
+        const { rule } = parseRRule('rrule:freq=monthly;interval=2;byday=-1fr;until=20270601T000000Z');
+
+        assert.strictEqual(rule.freq, 'MONTHLY');
+        assert.strictEqual(rule.interval, 2);
+        assert.deepStrictEqual(rule.byDay, [{ weekday: 5, ordinal: -1 }]);
+        assert.strictEqual(rule.until, '2027-06-01');
+    });
+
+    it('rejects what it does not support', () => {
+        const errors = {
+            'FREQ=YEARLY': 'RRULE FREQ must be DAILY, WEEKLY or MONTHLY',
+            'FREQ=WEEKLY;BYMONTH=9': 'Unsupported RRULE part: BYMONTH',
+            'FREQ=WEEKLY;INTERVAL=0': 'RRULE INTERVAL must be between 1 and 99',
+            'FREQ=DAILY;BYDAY=MO': 'RRULE BYDAY is only supported for WEEKLY and MONTHLY rules',
+            'FREQ=WEEKLY;BYDAY=2MO': 'Invalid RRULE BYDAY value "2MO"',
+            'FREQ=WEEKLY;BYMONTHDAY=1': 'RRULE BYMONTHDAY is only supported for MONTHLY rules',
+            'FREQ=MONTHLY;BYMONTHDAY=32': 'RRULE BYMONTHDAY values must be between 1 and 31 (or -31 and -1)',
+            'FREQ=DAILY;COUNT=2;UNTIL=20260901': 'RRULE cannot have both COUNT and UNTIL',
+            'FREQ=DAILY;COUNT=1001': 'RRULE COUNT must be between 1 and 1000',
+            'FREQ=DAILY;UNTIL=20260230': 'RRULE UNTIL must be a valid date',
+            'FREQ=DAILY;COUNT': 'Invalid RRULE part "COUNT"'
+        };
+
+        for (const [value, error] of Object.entries(errors)) {
+            assert.deepStrictEqual(parseRRule(value), { error }, value);
+        }
+    });
+});
+
+describe('formatRRule', () => {
+    it('writes the canonical form, leaving out defaults', () => {
+        for (const value of ['FREQ=DAILY;COUNT=5', 'FREQ=MONTHLY;INTERVAL=2;BYDAY=-1FR;UNTIL=20261231']) {
+            assert.strictEqual(formatRRule(parseRRule(value).rule), value);
+        }
+        assert.strictEqual(formatRRule(parseRRule('freq=weekly;interval=1;byday=mo').rule), 'FREQ=WEEKLY;BYDAY=MO');
+    });
+});
+
+describe('expandRRule', () => {
+    const to = '2027-06-30';
+
+    it('expands weekly rules on each BYDAY until COUNT', () => {
+        assert.deepStrictEqual(
+            expand('FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4', '2026-09-07', { to }),
+            ['2026-09-07', '2026-09-09', '2026-09-14', '2026-09-16']
+        );
+    });
+
+    it('skips and does not count days before the start', () => {
+        assert.deepStrictEqual(
+            expand('FREQ=WEEKLY;BYDAY=MO,WE;COUNT=3', '2026-09-09', { to }),
+            ['2026-09-09', '2026-09-14', '2026-09-16']
+        );
+    });
+
+    it('steps by INTERVAL', () => {
+        assert.deepStrictEqual(
+            expand('FREQ=WEEKLY;INTERVAL=2;COUNT=3', '2026-09-07', { to }),
+            ['2026-09-07', '2026-09-21', '2026-10-05']
+        );
+    });
+
+    it('includes UNTIL and stops at the end of the range', () => {
+        assert.deepStrictEqual(
+            expand('FREQ=WEEKLY;UNTIL=20260921', '2026-09-07', { to }),
+            ['2026-09-07', '2026-09-14', '2026-09-21']
+        );
+        assert.deepStrictEqual(
+            expand('FREQ=DAILY', '2026-09-07', { to: '2026-09-09' }),
+            ['2026-09-07', '2026-09-08', '2026-09-09']
+        );
+    });
+
+    it('counts excluded dates and those before from toward COUNT', () => {
+        assert.deepStrictEqual(
+            expand('FREQ=DAILY;COUNT=3', '2026-09-01', { to, exdates: ['2026-09-02'] }),
+            ['2026-09-01', '2026-09-03']
+        );
+        assert.deepStrictEqual(
+            expand('FREQ=DAILY;COUNT=5', '2026-09-01', { from: '2026-09-03', to }),
+            ['2026-09-03', '2026-09-04', '2026-09-05']
+        );
+    });
+
+    it('finds ordinal weekdays in each month', () => {
+        assert.deepStrictEqual(
+            expand('FREQ=MONTHLY;BYDAY=-1FR', '2026-09-25', { to: '2027-01-31' }),
+            ['2026-09-25', '2026-10-30', '2026-11-27', '2026-12-25', '2027-01-29']
+        );
+    });
+
+    it('skips months without the day', () => {
+        const expected = ['2026-01-31', '2026-03-31', '2026-05-31'];
+
+        assert.deepStrictEqual(expand('FREQ=MONTHLY;BYMONTHDAY=31', '2026-01-31', { to: '2026-06-30' }), expected);
+        assert.deepStrictEqual(expand('FREQ=MONTHLY', '2026-01-31', { to: '2026-06-30' }), expected);
+    });
+});
@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseDateOnly, isHttpUrl, validateParts } = require('../lib/validate');
+
+describe('parseDateOnly', () => {
+    it('reads the formats spreadsheets and clients send', () => {
+        assert.strictEqual(parseDateOnly('2026-09-01'), '2026-09-01');
+        assert.strictEqual(parseDateOnly(' 2026-09-01T23:30:00-07:00 '), '2026-09-01');
+        assert.strictEqual(parseDateOnly('9/1/2026'), '2026-09-01');
+        assert.strictEqual(parseDateOnly(new Date('2026-09-01T00:00:00Z')), '2026-09-01');
+    });
+
+    it('rejects dates that do not exist', () => {
+        for (const value of ['2026-02-30', '13/1/2026', '2026-9-1', 'soon', '', null, 20260901, new Date('x')]) {
+            assert.strictEqual(parseDateOnly(value), null, String(value));
+        }
+    });
+});
+
+describe('isHttpUrl', () => {
+    it('accepts only http and https URLs', () => {
+        assert.ok(isHttpUrl('https://example.com/a'));
+        assert.ok(isHttpUrl('http://localhost:3000'));
+        assert.ok(!isHttpUrl('javascript:alert(1)'));
+        assert.ok(!isHttpUrl('ftp://example.com'));
+        assert.ok(!isHttpUrl('example.com'));
+    });
+});
+
+describe('validateParts', () => {
+    const schemas = {
+        params: { id: { type: 'integer', min: 1, required: true } },
+        query: { all: { type: 'boolean' } },
+        body: {
+            title: { type: 'string', required: true, maxLength: 5 },
+            time: { type: 'time', nullable: true },
+            school: { type: 'string', values: ['wlhs', 'wvhs'] },
+            dates: { type: 'array', max: 2, items: { type: 'date' } }
+        }
+    };
+
+    it('accepts valid input, including numbers and booleans given as strings', () => {
+        const req = { params: { id: '3' }, query: { all: 'yes' }, body: { title: 'Math', time: null, dates: ['2026-09-01'] } };
+        assert.deepStrictEqual(validateParts(schemas, req), []);
+    });
+
+    it('reports each problem with its location and field', () => {
+        const req = {
+            params: { id: '0' },
+            query: { all: 'maybe' },
+            body: { title: '', time: '25:00', school: 'lohs', dates: ['2026-09-01', 'later'] }
+        };
+
+        assert.deepStrictEqual(validateParts(schemas, req), [
+            { location: 'params', field: 'id', message: 'id must be at least 1' },
+            { location: 'query', field: 'all', message: 'all must be true or false' },
+            { location: 'body', field: 'title', message: 'title is required' },
+            { location: 'body', field: 'time', message: 'time must be a time (HH:MM)' },
+            { location: 'body', field: 'school', message: 'school must be one of wlhs, wvhs' },
+            { location: 'body', field: 'dates', message: 'dates items must be a date (YYYY-MM-DD)' }
+        ]);
+    });
+
+    it('only allows null for nullable fields', () => {
+        const req = { params: { id: 1 }, body: { title: null, time: null } };
+
+        assert.deepStrictEqual(validateParts(schemas, req), [
+            { location: 'body', field: 'title', message: 'title cannot be null' }
+        ]);
+    });
+
+    it('checks lengths and list sizes', () => {
+        const req = { params: { id: 1 }, body: { title: 'Too long', dates: ['2026-09-01', '2026-09-02', '2026-09-03'] } };
+
+        assert.deepStrictEqual(validateParts(schemas, req).map(problem => problem.message), [
+            'title must be at most 5 characters',
+            'dates must have at most 2 items'
+        ]);
+    });
+
+    it('checks minimum lengths', () => {
+        const req = { body: { secret: 'short' } };
+
+        assert.deepStrictEqual(validateParts({ body: { secret: { type: 'string', minLength: 8 } } }, req), [
+            { location: 'body', field: 'secret', message: 'secret must be at least 8 characters' }
+        ]);
+    });
+});
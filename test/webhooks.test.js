@@ -0,0 +1,292 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const { Pool } = require('pg');
+const { migrateUp } = require('../lib/migrate');
+const { signPayload, sendDelivery, enqueueDeliveries, processDueDeliveries } = require('../lib/webhooks');
+
+// The delivery tests need Postgres. They migrate a throwaway schema, so
+// TEST_DATABASE_URL can point at a development database.
+const DATABASE_URL = process.env.TEST_DATABASE_URL;
+const SCHEMA = `webhooks_test_${process.pid}`;
+const SECRET = 'test-secret-0123456789';
+
+const CHANGE = {
+    id: 'c0ffee00-0000-4000-8000-000000000001',
+    type: 'event.created',
+    school: 'wlhs',
+    occurred_at: '2026-09-01T15:00:00.000Z',
+    actor: 'admin',
+    data: { id: 1, title: 'Back to School Night' }
+};
+
+// A local receiver that records each request and answers it with respond(res).
+// Responses that are never ended let the sender's timeout fire.
+async function startReceiver(respond) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body });
+            respond(res);
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        requests,
+        close() {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+describe('signPayload', () => {
+    it('signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+        const body = JSON.stringify(CHANGE);
+        const expected = crypto.createHmac('sha256', SECRET).update(`1767225600.${body}`).digest('hex');
+
+        assert.strictEqual(signPayload(SECRET, '1767225600', body), `sha256=${expected}`);
+    });
+
+    it('depends on the timestamp', () => {
+        assert.notStrictEqual(signPayload(SECRET, '1767225600', '{}'), signPayload(SECRET, '1767225601', '{}'));
+    });
+});
+
+describe('sendDelivery', () => {
+    let receiver;
+
+    afterEach(async () => {
+        if (receiver) await receiver.close();
+        receiver = null;
+    });
+
+    const delivery = url => ({ id: 7, url, secret: SECRET, event_type: CHANGE.type, payload: CHANGE });
+
+    it('posts the signed payload and reports a 2xx as delivered', async () => {
+        receiver = await startReceiver(res => res.writeHead(200).end('ok'));
+
+        assert.deepStrictEqual(await sendDelivery(delivery(receiver.url), 1000), { ok: true, status: 200 });
+
+        const [request] = receiver.requests;
+        const timestamp = request.headers['x-wlwv-timestamp'];
+        assert.strictEqual(request.headers['content-type'], 'application/json');
+        assert.strictEqual(request.headers['x-wlwv-event'], 'event.created');
+        assert.strictEqual(request.headers['x-wlwv-delivery'], '7');
+        assert.strictEqual(request.headers['x-wlwv-signature'], signPayload(SECRET, timestamp, request.body));
+        assert.deepStrictEqual(JSON.parse(request.body), CHANGE);
+    });
+
+    it('reports a non-2xx response with its body', async () => {
+        receiver = await startReceiver(res => res.writeHead(503).end('busy'));
+
+        assert.deepStrictEqual(
+            await sendDelivery(delivery(receiver.url), 1000),
+            { ok: false, status: 503, error: 'HTTP 503: busy' }
+        );
+    });
+
+    it('does not follow redirects', async () => {
+        receiver = await startReceiver(res => res.writeHead(302, { Location: 'http://127.0.0.1:9/' }).end());
+
+        assert.deepStrictEqual(
+            await sendDelivery(delivery(receiver.url), 1000),
+            { ok: false, status: 302, error: 'HTTP 302' }
+        );
+        assert.strictEqual(receiver.requests.length, 1);
+    });
+
+    it('gives up on a receiver that does not answer in time', async () => {
+        receiver = await startReceiver(() => {});
+
+        assert.deepStrictEqual(
+            await sendDelivery(delivery(receiver.url), 200),
+            { ok: false, status: null, error: 'Timed out' }
+        );
+    });
+});
+
+describe('webhook deliveries', { skip: !DATABASE_URL && 'TEST_DATABASE_URL is not set' }, () => {
+    let pool;
+    let receiver;
+
+    before(async () => {
+        pool = new Pool({ connectionString: DATABASE_URL, options: `-c search_path=${SCHEMA},public` });
+        await pool.query(`CREATE SCHEMA ${SCHEMA}`);
+        await migrateUp(pool, { log: () => {} });
+    });
+
+    after(async () => {
+        if (receiver) await receiver.close();
+        if (!pool) return;
+        await pool.query(`DROP SCHEMA IF EXISTS ${SCHEMA} CASCADE`);
+        await pool.end();
+    });
+
+    beforeEach(async () => {
+        if (receiver) await receiver.close();
+        receiver = null;
+        await pool.query('TRUNCATE webhooks, webhook_deliveries RESTART IDENTITY CASCADE');
+    });
+
+    async function subscribe(url, { eventTypes = [] } = {}) {
+        const result = await pool.query(
+            'INSERT INTO webhooks (url, secret, event_types) VALUES ($1, $2, $3) RETURNING id',
+            [url, SECRET, eventTypes]
+        );
+        return result.rows[0].id;
+    }
+
+    // The delay is measured from the attempt, which sets updated_at in the same statement
+    async function loadDelivery() {
+        const result = await pool.query(`
+            SELECT status, attempts, response_status, error, delivered_at, next_attempt_at,
+                   EXTRACT(EPOCH FROM next_attempt_at - updated_at)::int AS retry_delay
+            FROM webhook_deliveries
+        `);
+        assert.strictEqual(result.rows.length, 1);
+        return result.rows[0];
+    }
+
+    async function makeDue() {
+        await pool.query("UPDATE webhook_deliveries SET next_attempt_at = CURRENT_TIMESTAMP WHERE status = 'pending'");
+    }
+
+    it('queues a change only for subscriptions that want it', async () => {
+        await subscribe('http://127.0.0.1:9/all');
+        await subscribe('http://127.0.0.1:9/events', { eventTypes: ['event.created'] });
+        await subscribe('http://127.0.0.1:9/materials', { eventTypes: ['material.created'] });
+
+        assert.strictEqual(await enqueueDeliveries(pool, CHANGE), 2);
+    });
+
+    it('signs each delivery and marks it succeeded on a 2xx response', async () => {
+        receiver = await startReceiver(res => res.writeHead(204).end());
+        await subscribe(receiver.url);
+        await enqueueDeliveries(pool, CHANGE);
+
+        assert.strictEqual((await loadDelivery()).status, 'pending');
+        assert.strictEqual(await processDueDeliveries(pool), 1);
+
+        const [request] = receiver.requests;
+        const timestamp = request.headers['x-wlwv-timestamp'];
+        const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${request.body}`).digest('hex');
+
+        assert.strictEqual(request.headers['x-wlwv-signature'], `sha256=${expected}`);
+        assert.strictEqual(request.headers['x-wlwv-event'], 'event.created');
+        assert.ok(Math.abs(Number(timestamp) - Date.now() / 1000) < 60);
+        assert.deepStrictEqual(JSON.parse(request.body), CHANGE);
+
+        const delivery = await loadDelivery();
+        assert.strictEqual(delivery.status, 'succeeded');
+        assert.strictEqual(delivery.attempts, 1);
+        assert.strictEqual(delivery.response_status, 204);
+        assert.strictEqual(delivery.error, null);
+        assert.strictEqual(delivery.next_attempt_at, null);
+        assert.ok(delivery.delivered_at);
+    });
+
+    it('retries non-2xx responses with backoff and then fails', async () => {
+        receiver = await startReceiver(res => res.writeHead(500).end('down for maintenance'));
+        await subscribe(receiver.url);
+        await enqueueDeliveries(pool, CHANGE);
+
+        assert.strictEqual(await processDueDeliveries(pool), 1);
+
+        let delivery = await loadDelivery();
+        assert.strictEqual(delivery.status, 'pending');
+        assert.strictEqual(delivery.response_status, 500);
+        assert.strictEqual(delivery.error, 'HTTP 500: down for maintenance');
+
+        // Not due again until the backoff has passed
+        assert.strictEqual(await processDueDeliveries(pool), 0);
+
+        const delays = [delivery.retry_delay];
+        while (delivery.status === 'pending') {
+            await makeDue();
+            assert.strictEqual(await processDueDeliveries(pool), 1);
+            delivery = await loadDelivery();
+            if (delivery.status === 'pending') delays.push(delivery.retry_delay);
+        }
+
+        assert.deepStrictEqual(delays, [60, 300, 1800, 7200, 43200]);
+        assert.strictEqual(delivery.status, 'failed');
+        assert.strictEqual(delivery.attempts, 6);
+        assert.strictEqual(delivery.next_attempt_at, null);
+        assert.strictEqual(receiver.requests.length, 6);
+
+        await makeDue();
+        assert.strictEqual(await processDueDeliveries(pool), 0);
+    });
+
+    it('retries a receiver that does not answer in time', async () => {
+        receiver = await startReceiver(() => {});
+        await subscribe(receiver.url);
+        await enqueueDeliveries(pool, CHANGE);
+
+        assert.strictEqual(await processDueDeliveries(pool, { timeout: 200 }), 1);
+
+        const delivery = await loadDelivery();
+        assert.strictEqual(delivery.status, 'pending');
+        assert.strictEqual(delivery.attempts, 1);
+        assert.strictEqual(delivery.response_status, null);
+        assert.strictEqual(delivery.error, 'Timed out');
+        assert.strictEqual(delivery.retry_delay, 60);
+    });
+
+    it('holds deliveries for inactive subscriptions', async () => {
+        receiver = await startReceiver(res => res.writeHead(204).end());
+        const id = await subscribe(receiver.url);
+        await enqueueDeliveries(pool, CHANGE);
+        await pool.query('UPDATE webhooks SET active = false WHERE id = $1', [id]);
+
+        assert.strictEqual(await processDueDeliveries(pool), 0);
+        assert.strictEqual((await loadDelivery()).attempts, 0);
+
+        await pool.query('UPDATE webhooks SET active = true WHERE id = $1', [id]);
+        assert.strictEqual(await processDueDeliveries(pool), 1);
+        assert.strictEqual((await loadDelivery()).status, 'succeeded');
+    });
+
+    it('claims only what could time out before the deadline', async () => {
+        receiver = await startReceiver(res => res.writeHead(204).end());
+        await subscribe(receiver.url);
+        await subscribe(receiver.url);
+        await enqueueDeliveries(pool, CHANGE);
+
+        assert.strictEqual(await processDueDeliveries(pool, { timeout: 1000, deadline: Date.now() + 500 }), 0);
+        assert.strictEqual(receiver.requests.length, 0);
+
+        // Room for one: the other is left for the next call
+        assert.strictEqual(await processDueDeliveries(pool, { timeout: 1000, deadline: Date.now() + 1500 }), 1);
+        assert.strictEqual(await processDueDeliveries(pool), 1);
+        assert.strictEqual(receiver.requests.length, 2);
+    });
+
+    it('leases a claim for as long as the whole batch could take to time out', async () => {
+        receiver = await startReceiver(() => {});
+        await subscribe(receiver.url);
+        await enqueueDeliveries(pool, CHANGE);
+
+        const sending = processDueDeliveries(pool, { timeout: 5000 });
+        while (receiver.requests.length === 0) await new Promise(resolve => setTimeout(resolve, 20));
+
+        // A batch is up to 20 deliveries, so at least 100 seconds
+        const lease = await pool.query(
+            'SELECT EXTRACT(EPOCH FROM next_attempt_at - updated_at)::int AS seconds FROM webhook_deliveries'
+        );
+        assert.ok(lease.rows[0].seconds >= 100, `lease of ${lease.rows[0].seconds}s`);
+
+        // Dropping the connection ends the send without waiting out the timeout
+        await receiver.close();
+        receiver = null;
+        await sending;
+    });
+});